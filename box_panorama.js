@@ -29,28 +29,634 @@ function ($, THREE, Modernizr) {
 		return new F();
 	}
 
+	// Direction vector by longitude and latitude (in degrees)
+	function lonLatToVector(lon, lat, radius) {
+		var phi = THREE.Math.degToRad(90.0 - lat);
+		var theta = THREE.Math.degToRad(lon);
+
+		return new THREE.Vector3(
+			radius * Math.sin(phi) * Math.cos(theta),
+			radius * Math.cos(phi),
+			radius * Math.sin(phi) * Math.sin(theta)
+		);
+	}
+
+	// Apply projection matrix to vector with perspective divide
+	// (result is in normalized device coordinates)
+	function applyProjection(vector, matrix) {
+		var e = matrix.elements;
+		var x = vector.x, y = vector.y, z = vector.z;
+		var d = 1 / (e[3] * x + e[7] * y + e[11] * z + e[15]);
+
+		vector.x = (e[0] * x + e[4] * y + e[8] * z + e[12]) * d;
+		vector.y = (e[1] * x + e[5] * y + e[9] * z + e[13]) * d;
+		vector.z = (e[2] * x + e[6] * y + e[10] * z + e[14]) * d;
+
+		return vector;
+	}
+
+	// Difference of angles in degrees wrapped to range from -180 to 180
+	function wrapAngle(angle) {
+		return ((angle % 360.0) + 540.0) % 360.0 - 180.0;
+	}
+
+	// Clamp longitude and latitude by limits (see "Panorama.getLimits")
+	function clampToLimits(lon, lat, limits) {
+		lat = Math.max(limits.minLat, Math.min(limits.maxLat, lat));
+
+		if (limits.centerLon !== null) {
+			lon = limits.centerLon + Math.max(
+				-limits.halfLon,
+				Math.min(limits.halfLon, wrapAngle(lon - limits.centerLon))
+			);
+		}
+
+		return { lon: lon, lat: lat };
+	}
+
+	// Direction (in world coordinates) to point of side texture of the box.
+	// "a" and "b" is horizontal and vertical position on the texture image
+	// from -1 to 1 (from top-left corner), index is index of side in "sides".
+	// Mesh of the box is mirrored by X axis (see "mesh.scale.x").
+	function sideDirection(index, a, b) {
+		switch (index) {
+			case 0: return [-1, -b, -a]; // right
+			case 1: return [1, -b, a]; // left
+			case 2: return [-a, 1, b]; // top
+			case 3: return [-a, -1, -b]; // bottom
+			case 4: return [-a, -b, 1]; // back
+			case 5: return [a, -b, -1]; // front
+		}
+	}
+
+	// Inverse of "sideDirection": side index and position on its texture
+	// ("a" and "b" from -1 to 1) by direction in world coordinates
+	function directionToSide(x, y, z) {
+		var ax = Math.abs(x), ay = Math.abs(y), az = Math.abs(z);
+
+		if (ax >= ay && ax >= az) {
+			return (x < 0) ?
+				{ index: 0, a: -z / ax, b: -y / ax } : // right
+				{ index: 1, a: z / ax, b: -y / ax }; // left
+		}
+
+		if (ay >= az) {
+			return (y > 0) ?
+				{ index: 2, a: -x / ay, b: z / ay } : // top
+				{ index: 3, a: -x / ay, b: -z / ay }; // bottom
+		}
+
+		return (z > 0) ?
+			{ index: 4, a: -x / az, b: -y / az } : // back
+			{ index: 5, a: x / az, b: -y / az }; // front
+	}
+
+	// Size of side texture that generated from equirectangular image
+	// (power of two for WebGL, limited for performance)
+	function equirectangularSideSize(width) {
+		var size = 1;
+		while (size * 2 <= width / 4 && size < 2048) size *= 2;
+		return size;
+	}
+
+	// Generate side texture canvas from equirectangular image data.
+	// Center of equirectangular image is direction of camera at start
+	// (longitude 90).
+	function equirectangularToSide(source, index, size) {
+		var canvas = document.createElement('canvas');
+		canvas.width = size;
+		canvas.height = size;
+
+		var context = canvas.getContext('2d');
+		var target = context.createImageData(size, size);
+		var src = source.data;
+		var dst = target.data;
+		var w = source.width;
+		var h = source.height;
+
+		for (var y = 0; y < size; y++) {
+			for (var x = 0; x < size; x++) {
+				var dir = sideDirection(index, (2 * x + 1) / size - 1, (2 * y + 1) / size - 1);
+				var lon = Math.atan2(dir[2], dir[0]);
+				var lat = Math.atan2(dir[1], Math.sqrt(dir[0] * dir[0] + dir[2] * dir[2]));
+
+				// bilinear sampling (wrapped horizontally)
+				var u = lon / (2 * Math.PI) + 0.25;
+				u = (u - Math.floor(u)) * w - 0.5;
+				var v = Math.max(0, Math.min(h - 1, (0.5 - lat / Math.PI) * h - 0.5));
+
+				var x0 = Math.floor(u);
+				var y0 = Math.floor(v);
+				var fx = u - x0;
+				var fy = v - y0;
+				var x1 = (x0 + 1) % w;
+				var y1 = Math.min(y0 + 1, h - 1);
+				x0 = (x0 + w) % w;
+
+				var i00 = (y0 * w + x0) * 4;
+				var i10 = (y0 * w + x1) * 4;
+				var i01 = (y1 * w + x0) * 4;
+				var i11 = (y1 * w + x1) * 4;
+				var o = (y * size + x) * 4;
+
+				for (var c = 0; c < 4; c++) {
+					dst[o + c] =
+						(src[i00 + c] * (1 - fx) + src[i10 + c] * fx) * (1 - fy) +
+						(src[i01 + c] * (1 - fx) + src[i11 + c] * fx) * fy;
+				}
+			}
+		}
+
+		context.putImageData(target, 0, 0);
+		return canvas;
+	}
+
+	// Generate equirectangular (2:1) canvas from image data of sides
+	// (in "sides" order), inverse of "equirectangularToSide"
+	function sidesToEquirectangular(sources, width) {
+		var height = Math.round(width / 2);
+		var canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+
+		var context = canvas.getContext('2d');
+		var target = context.createImageData(width, height);
+		var dst = target.data;
+
+		for (var y = 0; y < height; y++) {
+			var lat = (0.5 - (y + 0.5) / height) * Math.PI;
+
+			for (var x = 0; x < width; x++) {
+				var lon = ((x + 0.5) / width - 0.25) * 2 * Math.PI;
+				var side = directionToSide(
+					Math.cos(lat) * Math.cos(lon),
+					Math.sin(lat),
+					Math.cos(lat) * Math.sin(lon)
+				);
+				var source = sources[side.index];
+				var w = source.width;
+				var h = source.height;
+				var src = source.data;
+
+				// bilinear sampling (clamped by side edges)
+				var u = Math.max(0, Math.min(w - 1, (side.a + 1) / 2 * w - 0.5));
+				var v = Math.max(0, Math.min(h - 1, (side.b + 1) / 2 * h - 0.5));
+
+				var x0 = Math.floor(u);
+				var y0 = Math.floor(v);
+				var fx = u - x0;
+				var fy = v - y0;
+				var x1 = Math.min(x0 + 1, w - 1);
+				var y1 = Math.min(y0 + 1, h - 1);
+
+				var i00 = (y0 * w + x0) * 4;
+				var i10 = (y0 * w + x1) * 4;
+				var i01 = (y1 * w + x0) * 4;
+				var i11 = (y1 * w + x1) * 4;
+				var o = (y * width + x) * 4;
+
+				for (var c = 0; c < 4; c++) {
+					dst[o + c] =
+						(src[i00 + c] * (1 - fx) + src[i10 + c] * fx) * (1 - fy) +
+						(src[i01 + c] * (1 - fx) + src[i11 + c] * fx) * fy;
+				}
+			}
+		}
+
+		context.putImageData(target, 0, 0);
+		return canvas;
+	}
+
+	// Get Blob of canvas image (asynchronus)
+	function canvasToBlob(canvas, type, quality, callback) {
+		if (canvas.toBlob) {
+			canvas.toBlob(callback, type, quality);
+			return;
+		}
+
+		// old browsers
+		var dataURL = canvas.toDataURL(type, quality);
+		var binary = atob(dataURL.split(',')[1]);
+		var bytes = new Uint8Array(binary.length);
+		for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+
+		setTimeout(function () { // async
+			callback(new Blob([bytes], { type: dataURL.split(',')[0].split(':')[1].split(';')[0] }));
+		}, 1);
+	}
+
+	// Frustum of camera (camera matrices must be updated)
+	function cameraFrustum(camera) {
+		var matrix = new THREE.Matrix4().multiplyMatrices(
+			camera.projectionMatrix,
+			camera.matrixWorldInverse
+		);
+		var frustum = new THREE.Frustum();
+
+		if (frustum.setFromProjectionMatrix) { // three.js r123+
+			frustum.setFromProjectionMatrix(matrix);
+		} else {
+			frustum.setFromMatrix(matrix);
+		}
+
+		return frustum;
+	}
+
+	// Set positions of vertices of geometry (array of THREE.Vector3)
+	function setGeometryVertices(geometry, vertices) {
+		if (geometry.attributes && geometry.attributes.position) { // buffer geometry, three.js r125+
+			var position = geometry.attributes.position;
+
+			$.each(vertices, function (i, vertex) {
+				position.setXYZ(i, vertex.x, vertex.y, vertex.z);
+			});
+			position.needsUpdate = true;
+		} else {
+			$.each(vertices, function (i, vertex) {
+				geometry.vertices[i].copy(vertex);
+			});
+			geometry.verticesNeedUpdate = true;
+		}
+
+		geometry.computeBoundingSphere();
+	}
+
+	// Update world matrices of camera without rendering by it
+	function updateCameraMatrices(camera) {
+		camera.updateMatrixWorld();
+
+		if (camera.matrixWorldInverse.invert) { // three.js r123+
+			camera.matrixWorldInverse.copy(camera.matrixWorld).invert();
+		} else {
+			camera.matrixWorldInverse.getInverse(camera.matrixWorld);
+		}
+	}
+
+	// Turn on/off scissor test of WebGL renderer
+	function setScissorTest(renderer, enabled) {
+		if (renderer.setScissorTest) { // three.js r74+
+			renderer.setScissorTest(enabled);
+		} else {
+			renderer.enableScissorTest(enabled);
+		}
+	}
+
+	// Device pixel ratio of renderer
+	function rendererPixelRatio(renderer) {
+		if (renderer.getPixelRatio) return renderer.getPixelRatio(); // three.js r70+
+		return renderer.devicePixelRatio || 1;
+	}
+
+	// Render scene to render target of WebGL renderer
+	function renderToTarget(renderer, scene, camera, target) {
+		if (renderer.render.length >= 3) { // render target is argument of "render"
+			renderer.render(scene, camera, target, true);
+			return;
+		}
+
+		renderer.setRenderTarget(target);
+		renderer.clear();
+		renderer.render(scene, camera);
+		renderer.setRenderTarget(null);
+	}
+
+	// Get raw value of parameter of location hash ("#key=value&key2=value2")
+	function getHashParam(key) {
+		var parts = window.location.hash.replace(/^#/, '').split('&');
+
+		for (var i = 0; i < parts.length; i++) {
+			var pos = parts[i].indexOf('=');
+			if (pos > -1 && parts[i].slice(0, pos) === key) return parts[i].slice(pos + 1);
+		}
+
+		return null;
+	}
+
+	// Set raw value of parameter of location hash (without new history entry)
+	function setHashParam(key, value) {
+		var parts = window.location.hash.replace(/^#/, '').split('&')
+			.filter(function (part) {
+				return part !== '' && part.indexOf(key + '=') !== 0;
+			});
+		parts.push(key + '=' + value);
+
+		var url = window.location.href.replace(/#.*$/, '') + '#' + parts.join('&');
+
+		if (window.history && window.history.replaceState) {
+			window.history.replaceState(window.history.state, '', url);
+		} else {
+			window.location.replace(url);
+		}
+	}
+
+	// Events of changing of fullscreen mode (with vendor prefixes)
+	var fullscreenEvents = [
+		'fullscreenchange',
+		'webkitfullscreenchange',
+		'mozfullscreenchange',
+		'MSFullscreenChange'
+	];
+
+	// Events of failed request of fullscreen mode (with vendor prefixes)
+	var fullscreenErrorEvents = [
+		'fullscreenerror',
+		'webkitfullscreenerror',
+		'mozfullscreenerror',
+		'MSFullscreenError'
+	];
+
+	// Element that is in fullscreen mode now (Fullscreen API)
+	function fullscreenElement() {
+		return document.fullscreenElement ||
+			document.webkitFullscreenElement ||
+			document.webkitCurrentFullScreenElement ||
+			document.mozFullScreenElement ||
+			document.msFullscreenElement ||
+			null;
+	}
+
+	// Request fullscreen mode for element by Fullscreen API
+	// (returns false if API is not supported).
+	// "failed" is called once if request is rejected
+	// (not by user gesture, iframe without "allowfullscreen", etc.)
+	function requestFullscreen(element, failed) {
+		var request = element.requestFullscreen ||
+			element.webkitRequestFullscreen ||
+			element.webkitRequestFullScreen ||
+			element.mozRequestFullScreen ||
+			element.msRequestFullscreen;
+
+		if (!request) return false;
+
+		var namespace = '.requestFullscreen' + (new Date()).getTime() +
+			Math.round(Math.random() * 1000000000);
+		var $document = $(document);
+		var done = false;
+
+		function finish(success) {
+			if (done) return;
+			done = true;
+			$document.unbind(namespace);
+			if (!success) failed();
+		}
+
+		// browsers without promises reports result only by events
+		$document.bind($.map(fullscreenEvents, function (name) {
+			return name + namespace;
+		}).join(' '), function () {
+			finish(true);
+		});
+		$document.bind($.map(fullscreenErrorEvents, function (name) {
+			return name + namespace;
+		}).join(' '), function () {
+			finish(false);
+		});
+
+		var result;
+		try {
+			result = request.call(element);
+		} catch (err) {
+			finish(false);
+			return true;
+		}
+
+		if (result && result.then) {
+			result.then(function () { finish(true); }, function () { finish(false); });
+		}
+
+		return true;
+	}
+
+	// Exit fullscreen mode by Fullscreen API
+	function exitFullscreen() {
+		var exit = document.exitFullscreen ||
+			document.webkitExitFullscreen ||
+			document.webkitCancelFullScreen ||
+			document.mozCancelFullScreen ||
+			document.msExitFullscreen;
+
+		if (!exit) return;
+
+		var result = exit.call(document);
+		if (result && result.then) result.then(null, function () {});
+	}
+
+	// All materials of meshes of the scene
+	function sceneMaterials(scene) {
+		var materials = [];
+
+		scene.traverse(function (object) {
+			if (!object.material) return;
+
+			// MeshFaceMaterial (three.js before r72) or array of materials
+			materials = materials.concat(object.material.materials || object.material);
+		});
+
+		return materials;
+	}
+
+	// Vertex shader of full-screen passes (distortion and projection)
+	var distortionVertexShader = [
+		'varying vec2 vUv;',
+		'void main() {',
+		'	vUv = uv;',
+		'	gl_Position = vec4(position.xy, 0.0, 1.0);',
+		'}'
+	].join('\n');
+
+	// Fragment shader of barrel distortion pass
+	// (compensates pincushion distortion of lenses of headset)
+	var distortionFragmentShader = [
+		'uniform sampler2D map;',
+		'uniform float strength;',
+		'uniform float aspect;',
+		'varying vec2 vUv;',
+		'void main() {',
+		'	vec2 position = vUv * 2.0 - 1.0;',
+		'	vec2 scaled = position * vec2(aspect, 1.0);',
+		'	vec2 uv = position * (1.0 + strength * dot(scaled, scaled)) * 0.5 + 0.5;',
+		'	if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {',
+		'		gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);',
+		'	} else {',
+		'		gl_FragColor = texture2D(map, uv);',
+		'	}',
+		'}'
+	].join('\n');
+
+	// Fragment shader of projection pass
+	// (maps screen to direction by projection and samples cube map of the scene).
+	// Transition between projections is mix of angles from center of screen.
+	var projectionFragmentShader = [
+		'uniform samplerCube map;',
+		'uniform mat4 rotation;',
+		'uniform float fov;',
+		'uniform float aspect;',
+		'uniform int fromProjection;',
+		'uniform int toProjection;',
+		'uniform float progress;',
+		'varying vec2 vUv;',
+		// angle from view direction by distance from center (-1 is outside of image)
+		'float projectionAngle(int projection, float r) {',
+		'	if (projection == 1) {', // stereographic
+		'		return 2.0 * atan(r * tan(fov / 4.0));',
+		'	} else if (projection == 2) {', // equisolid fisheye
+		'		float s = r * sin(fov / 4.0);',
+		'		return (s > 1.0) ? -1.0 : 2.0 * asin(s);',
+		'	}',
+		'	return atan(r * tan(min(fov, radians(179.0)) / 2.0));', // rectilinear
+		'}',
+		'void main() {',
+		'	vec2 position = (vUv * 2.0 - 1.0) * vec2(aspect, 1.0);',
+		'	float r = length(position);',
+		'	float fromAngle = projectionAngle(fromProjection, r);',
+		'	float toAngle = projectionAngle(toProjection, r);',
+		'	float visible = mix(step(0.0, fromAngle), step(0.0, toAngle), progress);',
+		'	if (fromAngle < 0.0) fromAngle = toAngle;',
+		'	if (toAngle < 0.0) toAngle = fromAngle;',
+		'	if (toAngle < 0.0) {',
+		'		gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);',
+		'		return;',
+		'	}',
+		'	float angle = mix(fromAngle, toAngle, progress);',
+		'	vec3 direction = vec3(0.0, 0.0, -1.0);',
+		'	if (r > 0.0) direction = vec3(position / r * sin(angle), -cos(angle));',
+		'	vec4 color = textureCube(map, (rotation * vec4(direction, 0.0)).xyz);',
+		'	gl_FragColor = vec4(color.rgb * visible, 1.0);',
+		'}'
+	].join('\n');
+
+	// Create cube camera with render target of size of side
+	function createCubeCamera(size) {
+		if (THREE.WebGLCubeRenderTarget) { // three.js r118+
+			return new THREE.CubeCamera(1, 1000, new THREE.WebGLCubeRenderTarget(size, {
+				minFilter: THREE.LinearFilter,
+				magFilter: THREE.LinearFilter,
+				format: THREE.RGBAFormat
+			}));
+		}
+
+		return new THREE.CubeCamera(1, 1000, size);
+	}
+
+	// Render scene to cube map of cube camera
+	function updateCubeCamera(cubeCamera, renderer, scene) {
+		cubeCamera.updateMatrixWorld();
+
+		if (cubeCamera.update) { // three.js r118+
+			cubeCamera.update(renderer, scene);
+		} else {
+			cubeCamera.updateCubeMap(renderer, scene);
+		}
+	}
+
 	// helpers }}}1
 
 	var sides = ['right', 'left', 'top', 'bottom', 'back', 'front'];
 
+	// index in list is id of projection in projection shader
+	var projections = ['rectilinear', 'stereographic', 'fisheye'];
+
+	// Buttons of control bar by name
+	// (icon, action by click, state of toggle button, disabled state and support check)
+	var controlButtons = {
+		zoomIn: {
+			icon: '+',
+			action: function (panorama) {
+				panorama.setView({ zoom: Math.min(100,
+					panorama.getView().zoom + panorama.params.controls.zoomStep) });
+			},
+			isDisabled: function (panorama) { return panorama.getView().zoom >= 100; }
+		},
+		zoomOut: {
+			icon: '\u2212',
+			action: function (panorama) {
+				panorama.setView({ zoom: Math.max(0,
+					panorama.getView().zoom - panorama.params.controls.zoomStep) });
+			},
+			isDisabled: function (panorama) { return panorama.getView().zoom <= 0; }
+		},
+		toggleZoom: {
+			icon: '\u2922',
+			action: function (panorama) { panorama.toggleZoom(); }
+		},
+		reset: {
+			icon: '\u21ba',
+			action: function (panorama) { panorama.resetView(); }
+		},
+		autorotate: {
+			icon: '\u27f3',
+			action: function (panorama) {
+				if (panorama.isAutoRotating()) {
+					panorama.stopAutoRotate();
+				} else {
+					panorama.startAutoRotate();
+				}
+			},
+			isActive: function (panorama) { return panorama.isAutoRotating(); }
+		},
+		fullscreen: {
+			icon: '\u26f6',
+			action: function (panorama) { panorama.toggleFullscreen(); },
+			isActive: function (panorama) { return panorama.isFullscreen(); }
+		},
+		stereo: {
+			icon: 'VR',
+			action: function (panorama) { panorama.toggleStereo(); },
+			isActive: function (panorama) { return panorama.isStereo(); },
+			isSupported: function (panorama) {
+				return panorama.__getter('renderer') instanceof THREE.WebGLRenderer;
+			}
+		},
+		deviceOrientation: {
+			icon: '\u2316',
+			action: function (panorama) { panorama.toggleDeviceOrientation(); },
+			isActive: function (panorama) { return panorama.isDeviceOrientationEnabled(); },
+			isSupported: function () { return 'DeviceOrientationEvent' in window; }
+		}
+	};
+
+	// Default styles of control bar (added to document once,
+	// before other stylesheets, so they can be overridden by classes)
+	var controlsStyles = [
+		'.panorama_controls {',
+		'	position: absolute; z-index: 10; display: flex; padding: 4px;',
+		'	background: rgba(0, 0, 0, 0.5); border-radius: 4px;',
+		'}',
+		'.panorama_controls_top { top: 10px; left: 50%; transform: translateX(-50%); }',
+		'.panorama_controls_bottom { bottom: 10px; left: 50%; transform: translateX(-50%); }',
+		'.panorama_controls_left { left: 10px; top: 50%; transform: translateY(-50%); }',
+		'.panorama_controls_right { right: 10px; top: 50%; transform: translateY(-50%); }',
+		'.panorama_controls_left, .panorama_controls_right { flex-direction: column; }',
+		'.panorama_control {',
+		'	width: 32px; height: 32px; margin: 0; padding: 0; border: 0; border-radius: 3px;',
+		'	background: transparent; color: #fff; font: 18px/32px sans-serif; cursor: pointer;',
+		'}',
+		'.panorama_control:hover, .panorama_control:focus { background: rgba(255, 255, 255, 0.2); }',
+		'.panorama_control_active { background: rgba(255, 255, 255, 0.35); }',
+		'.panorama_control[disabled] { opacity: 0.4; cursor: default; }'
+	].join('\n');
+
 	/**
 	 * @description You need to set "params" keys "panoramaCode" and "imgPathMask" both or absolute paths to key "sideTextures"
+	 * or path to equirectangular image to key "equirectangular"
+	 * or path to image with all sides to key "cubeImage" with its layout to key "cubeLayout"
 	 * @name Panorama
 	 * @constructor
 	 * @public
 	 *
 	 * @param {jQuery|string|DOM} $selector jQuery object of container or string of selector or DOM-element
 	 * @param {Panorama~paramsType} params Parameters
-	 * @param {Panorama~createInstanceCallback} [callback] Callback after instance created (asynchronus)
+	 * @param {Panorama~createInstanceCallback} [callback] Callback after instance created and all side textures loaded (asynchronus)
 	 *
 	 * @exception {Panorama~IncorrectArgument}
 	 * @exception {Panorama~RequiredParameter}
 	 * @exception {Panorama~RequiredSideTexture}
 	 * @exception {Panorama~NoContainer}
-	 * @exception {Panorama~ContainerZeroSize}
 	 * @exception {Panorama~SinglePanoramaPerContainer}
 	 * @exception {Panorama~NoSupportedRenderer}
 	 * @exception {Panorama~RendererInitError}
+	 * @exception {Panorama~TextureLoadError}
+	 * @exception {Panorama~CubeLayoutMismatch}
 	 */
 	function Panorama($selector, params/*[, callback]*/) {
 		/** @private */
@@ -173,6 +779,38 @@ function ($, THREE, Modernizr) {
 			 */
 			holdByUser: false,
 
+			/**
+			 * View that is drawn while camera is dragged over edges
+			 * (null if camera is inside of limits)
+			 *
+			 * @private
+			 * @instance
+			 * @type {Object.<float>|Null}
+			 * @name Panorama.elasticView
+			 */
+			elasticView: null,
+
+			/**
+			 * Camera is returning inside of limits after release
+			 *
+			 * @private
+			 * @instance
+			 * @type {boolean}
+			 * @name Panorama.springBack
+			 */
+			springBack: false,
+
+			/**
+			 * Multiplier of auto-rotation direction
+			 * (-1 when rotation is reversed by edge of longitude limits)
+			 *
+			 * @private
+			 * @instance
+			 * @type {number}
+			 * @name Panorama.autoRotateSign
+			 */
+			autoRotateSign: 1,
+
 			/**
 			 * @private
 			 * @instance
@@ -221,842 +859,6890 @@ function ($, THREE, Modernizr) {
 			 * @type {THREE.MeshFaceMaterial}
 			 * @name Panorama.materialToMesh
 			 */
-			materialToMesh: null
+			materialToMesh: null,
 
-		}; // private }}}1
+			/**
+			 * @typedef {Object.<*>} Panorama~hotspotState
+			 * @prop {string} id
+			 * @prop {float} lon
+			 * @prop {float} lat
+			 * @prop {jQuery} $hotspot Wrapper of the hotspot
+			 * @prop {jQuery|null} $element Custom element from "element" parameter
+			 * @prop {boolean} visible
+			 */
 
-		// private helpers {{{1
+			/**
+			 * @private
+			 * @instance
+			 * @type {Array.<Panorama~hotspotState>}
+			 * @name Panorama.hotspots
+			 */
+			hotspots: null,
 
-		/**
-		 * Getter helper
-		 *
-		 * @protected
-		 * @instance
-		 * @exception {Panorama~UnknownPrivateVariableName}
-		 * @returns {*} Private variable value
-		 * @this {Panorama}
-		 */
-		this.__getter = function (name) {
-			if (name in private) {
-				return private[name];
-			} else {
-				throw new self.exceptions.UnknownPrivateVariableName(null, name);
-			}
-		};
+			/**
+			 * Counter for generating hotspots identificators
+			 *
+			 * @private
+			 * @instance
+			 * @type {number}
+			 * @name Panorama.hotspotsCounter
+			 * @default 0
+			 */
+			hotspotsCounter: 0,
 
-		/**
-		 * Setter helper
-		 *
-		 * @protected
-		 * @instance
-		 * @exception {Panorama~UnknownPrivateVariableName}
-		 * @this {Panorama}
-		 */
-		this.__setter = function (name, val) {
-			if (name in private) {
-				private[name] = val;
-			} else {
-				throw new self.exceptions.UnknownPrivateVariableName(null, name);
-			}
-		};
+			/**
+			 * @typedef {Object.<*>} Panorama~viewAnimationState
+			 * @prop {jQuery} $animation Animated object
+			 * @prop {jQuery.Deferred} deferred
+			 * @prop {Panorama~animateToCallback|Null} callback
+			 */
 
-		/**
-		 * Cleanup private variables (destroy helper)
-		 *
-		 * @protected
-		 * @instance
-		 * @this {Panorama}
-		 */
-		this.__destroy = function () {
-			$selector = undefined;
-			params = undefined;
-			for (var key in private) {
-				delete private[key];
-			}
-			private = undefined;
-		};
+			/**
+			 * Current animation of camera (by "animateTo")
+			 *
+			 * @private
+			 * @instance
+			 * @type {Panorama~viewAnimationState}
+			 * @name Panorama.viewAnimation
+			 */
+			viewAnimation: null,
 
-		// private helpers }}}1
+			/**
+			 * Auto-rotation is turned on
+			 * (by "autoRotate" parameter or "startAutoRotate")
+			 *
+			 * @private
+			 * @instance
+			 * @type {boolean}
+			 * @name Panorama.autoRotating
+			 * @default false
+			 */
+			autoRotating: false,
 
-		if (!$.isPlainObject(params)) {
-			self.makeError(new self.exceptions.IncorrectArgument());
-			return false;
-		}
+			/**
+			 * Time in milliseconds when last frame was drawn
+			 * (for calculating movements independent of frame rate)
+			 *
+			 * @private
+			 * @instance
+			 * @type {number|Null}
+			 * @name Panorama.lastDrawTime
+			 */
+			lastDrawTime: null,
 
-		// Parse optional arguments {{{1
-		if (!Array.prototype.slice.call(arguments, 2).every(function (arg, i) {
-			if (i > 0) {
-				self.makeError(new self.exceptions.IncorrectArgument());
-				return false;
-			}
+			/**
+			 * Time in milliseconds when user finished last interaction
+			 *
+			 * @private
+			 * @instance
+			 * @type {number}
+			 * @name Panorama.interactionEndTime
+			 * @default 0
+			 */
+			interactionEndTime: 0,
 
-			if ($.type(arg) === 'function') {
-				if (!private.callback) {
-					private.callback = arg;
-				} else {
-					self.makeError(new self.exceptions.IncorrectArgument());
-					return false;
-				}
-			} else {
-				self.makeError(new self.exceptions.IncorrectArgument());
-				return false;
-			}
+			/**
+			 * @typedef {Object.<*>} Panorama~listener
+			 * @prop {function} fn
+			 * @prop {boolean} once
+			 */
 
-			return true;
-		})) return false;
-		// Parse optional arguments }}}1
+			/**
+			 * Listeners of events by event names
+			 *
+			 * @private
+			 * @instance
+			 * @type {Object.<Array.<Panorama~listener>>}
+			 * @name Panorama.listeners
+			 */
+			listeners: null,
+
+			/**
+			 * View of last drawn frame (for "viewchange" and "zoomchange" events)
+			 *
+			 * @private
+			 * @instance
+			 * @type {Panorama~view}
+			 * @name Panorama.lastView
+			 */
+			lastView: null,
+
+			/**
+			 * @private
+			 * @instance
+			 * @type {Panorama~loadProgress}
+			 * @name Panorama.textureProgress
+			 */
+			textureProgress: null,
+
+			/**
+			 * Resolved when all sides is loaded
+			 *
+			 * @private
+			 * @instance
+			 * @type {jQuery.Deferred}
+			 * @name Panorama.texturesDeferred
+			 */
+			texturesDeferred: null,
+
+			/**
+			 * Deferred of "ready" promise
+			 *
+			 * @private
+			 * @instance
+			 * @type {jQuery.Deferred}
+			 * @name Panorama.readyDeferred
+			 */
+			readyDeferred: null,
+
+			/**
+			 * @typedef {Object.<*>} Panorama~tile
+			 * @prop {number} side Index of side
+			 * @prop {number} level Level of detail
+			 * @prop {number} x Column of tile
+			 * @prop {number} y Row of tile
+			 * @prop {THREE~Mesh|Null} mesh Null while loading
+			 * @prop {boolean} failed Image of tile cannot be loaded
+			 * @prop {number} lastVisible Time in milliseconds when tile was visible
+			 */
+
+			/**
+			 * Cache of tiles by "side/level/x/y" keys
+			 * (null if "imgPathMask" has no "#LEVEL#")
+			 *
+			 * @private
+			 * @instance
+			 * @type {Object.<Panorama~tile>}
+			 * @name Panorama.tiles
+			 */
+			tiles: null,
+
+			/**
+			 * Count of tiles in cache
+			 *
+			 * @private
+			 * @instance
+			 * @type {number}
+			 * @name Panorama.tilesCount
+			 * @default 0
+			 */
+			tilesCount: 0,
+
+			/**
+			 * View that is set by "resetView" (and Home key)
+			 *
+			 * @private
+			 * @instance
+			 * @type {Panorama~view}
+			 * @name Panorama.homeView
+			 */
+			homeView: null,
+
+			/**
+			 * Timer of delayed update of location hash
+			 *
+			 * @private
+			 * @instance
+			 * @type {number}
+			 * @name Panorama.urlTimer
+			 */
+			urlTimer: null,
+
+			/**
+			 * Serialized view that is written to location hash last time
+			 * (for ignoring own changes of hash)
+			 *
+			 * @private
+			 * @instance
+			 * @type {string}
+			 * @name Panorama.urlValue
+			 */
+			urlValue: null,
+
+			/**
+			 * Original accessibility attributes of container
+			 * (for restoring in "destroy")
+			 *
+			 * @private
+			 * @instance
+			 * @type {Object.<string|undefined>}
+			 * @name Panorama.containerAttrs
+			 */
+			containerAttrs: null,
+
+			/**
+			 * Fullscreen mode: null, 'native' (Fullscreen API)
+			 * or 'pseudo' (container is stretched to window by CSS)
+			 *
+			 * @private
+			 * @instance
+			 * @type {string|Null}
+			 * @name Panorama.fullscreen
+			 */
+			fullscreen: null,
+
+			/**
+			 * Frame must be drawn (view, size or textures is changed)
+			 *
+			 * @private
+			 * @instance
+			 * @type {boolean}
+			 * @name Panorama.dirty
+			 */
+			dirty: true,
+
+			/**
+			 * Animation loop is paused by "pause"
+			 *
+			 * @private
+			 * @instance
+			 * @type {boolean}
+			 * @name Panorama.paused
+			 */
+			paused: false,
+
+			/**
+			 * Page is hidden (Page Visibility API)
+			 *
+			 * @private
+			 * @instance
+			 * @type {boolean}
+			 * @name Panorama.hidden
+			 */
+			hidden: false,
+
+			/**
+			 * Container is out of viewport (IntersectionObserver)
+			 *
+			 * @private
+			 * @instance
+			 * @type {boolean}
+			 * @name Panorama.offscreen
+			 */
+			offscreen: false,
+
+			/**
+			 * Animation loop is started by "animationLoop"
+			 *
+			 * @private
+			 * @instance
+			 * @type {boolean}
+			 * @name Panorama.loopActive
+			 */
+			loopActive: false,
+
+			/**
+			 * Identificator of requested animation frame
+			 *
+			 * @private
+			 * @instance
+			 * @type {number|Null}
+			 * @name Panorama.frameRequest
+			 */
+			frameRequest: null,
+
+			/**
+			 * @private
+			 * @instance
+			 * @type {IntersectionObserver}
+			 * @name Panorama.intersectionObserver
+			 */
+			intersectionObserver: null,
+
+			/**
+			 * Size of container that renderer is fitted to
+			 *
+			 * @private
+			 * @instance
+			 * @type {Object.<number>}
+			 * @name Panorama.containerSize
+			 */
+			containerSize: null,
+
+			/**
+			 * @private
+			 * @instance
+			 * @type {ResizeObserver}
+			 * @name Panorama.resizeObserver
+			 */
+			resizeObserver: null,
+
+			/**
+			 * Interval of checking of container size (if ResizeObserver is not supported)
+			 *
+			 * @private
+			 * @instance
+			 * @type {number}
+			 * @name Panorama.resizeTimer
+			 */
+			resizeTimer: null,
+
+			/**
+			 * Own 2D canvas of panorama with shared renderer
+			 * (null if panorama has own renderer)
+			 *
+			 * @private
+			 * @instance
+			 * @type {DOM}
+			 * @name Panorama.canvas
+			 */
+			canvas: null,
+
+			/**
+			 * Shared renderer is acquired from pool
+			 *
+			 * @private
+			 * @instance
+			 * @type {boolean}
+			 * @name Panorama.rendererActive
+			 */
+			rendererActive: false,
+
+			/**
+			 * Original "style" attribute of container (while fullscreen)
+			 *
+			 * @private
+			 * @instance
+			 * @type {string|undefined}
+			 * @name Panorama.containerStyle
+			 */
+			containerStyle: undefined,
+
+			/**
+			 * Live region for screen readers
+			 *
+			 * @private
+			 * @instance
+			 * @type {jQuery}
+			 * @name Panorama.$liveRegion
+			 */
+			$liveRegion: null,
+
+			/**
+			 * Timer of delayed announcement of heading
+			 *
+			 * @private
+			 * @instance
+			 * @type {number|Null}
+			 * @name Panorama.announceTimer
+			 */
+			announceTimer: null,
+
+			/**
+			 * @typedef {Object.<float>} Panorama~pinchState
+			 * @prop {float} distance Distance between fingers at start of pinch
+			 * @prop {float} fov Fov of camera at start of pinch
+			 */
+
+			/**
+			 * @private
+			 * @instance
+			 * @type {Panorama~pinchState}
+			 * @name Panorama.pinchState
+			 */
+			pinchState: null,
+
+			/**
+			 * @typedef {Object.<*>} Panorama~tapState
+			 * @prop {number} pageX
+			 * @prop {number} pageY
+			 * @prop {number} time Time in milliseconds of touch start
+			 * @prop {boolean} moved Touch is moved (it is not tap)
+			 */
+
+			/**
+			 * Current touch that could be a tap
+			 *
+			 * @private
+			 * @instance
+			 * @type {Panorama~tapState}
+			 * @name Panorama.tapState
+			 */
+			tapState: null,
+
+			/**
+			 * Previous tap (for double tap detection)
+			 *
+			 * @private
+			 * @instance
+			 * @type {Panorama~tapState}
+			 * @name Panorama.lastTap
+			 */
+			lastTap: null,
+
+			/**
+			 * @typedef {Object.<float>} Panorama~velocityState
+			 * @prop {float} lon Speed of longitude in degrees per millisecond
+			 * @prop {float} lat Speed of latitude in degrees per millisecond
+			 * @prop {number} time Time in milliseconds of last sample
+			 * @prop {float} lastLon Longitude at last sample
+			 * @prop {float} lastLat Latitude at last sample
+			 */
+
+			/**
+			 * Velocity of dragging by user
+			 *
+			 * @private
+			 * @instance
+			 * @type {Panorama~velocityState}
+			 * @name Panorama.velocity
+			 */
+			velocity: null,
+
+			/**
+			 * Speed of camera after release of dragging
+			 * (in degrees per millisecond)
+			 *
+			 * @private
+			 * @instance
+			 * @type {Object.<float>}
+			 * @name Panorama.inertia
+			 */
+			inertia: null,
+
+			/**
+			 * Positions of active pointers by pointer identificators
+			 * (null if Pointer Events is not supported)
+			 *
+			 * @private
+			 * @instance
+			 * @type {Object.<Object.<number>>}
+			 * @name Panorama.pointers
+			 */
+			pointers: null,
+
+			/**
+			 * @private
+			 * @instance
+			 * @type {Panorama~handlerState}
+			 * @name Panorama.pointerDownState
+			 */
+			pointerDownState: null,
+
+			/**
+			 * Original inline "touch-action" style of container
+			 * (for restoring in "destroy")
+			 *
+			 * @private
+			 * @instance
+			 * @type {string}
+			 * @name Panorama.touchAction
+			 */
+			touchAction: null,
+
+			/**
+			 * Device orientation mode is enabled
+			 *
+			 * @private
+			 * @instance
+			 * @type {boolean}
+			 * @name Panorama.orientationEnabled
+			 */
+			orientationEnabled: false,
+
+			/**
+			 * Deferred of enabling of device orientation mode
+			 * (while waiting for permission or first data from sensor)
+			 *
+			 * @private
+			 * @instance
+			 * @type {jQuery.Deferred}
+			 * @name Panorama.orientationDeferred
+			 */
+			orientationDeferred: null,
+
+			/**
+			 * Timer of waiting for first data from sensor
+			 *
+			 * @private
+			 * @instance
+			 * @type {number}
+			 * @name Panorama.orientationTimer
+			 */
+			orientationTimer: null,
+
+			/**
+			 * Last direction of device from sensor
+			 *
+			 * @private
+			 * @instance
+			 * @type {Panorama~orientationDirection}
+			 * @name Panorama.orientation
+			 */
+			orientation: null,
+
+			/**
+			 * Offset of camera from direction of device
+			 * (changed by dragging, keyboard, "setView", etc.)
+			 *
+			 * @private
+			 * @instance
+			 * @type {Panorama~orientationDirection}
+			 * @name Panorama.orientationOffset
+			 */
+			orientationOffset: null,
+
+			/**
+			 * Longitude and latitude that is applied by device orientation
+			 * on previous frame (for detecting of changes by user)
+			 *
+			 * @private
+			 * @instance
+			 * @type {Panorama~orientationDirection}
+			 * @name Panorama.orientationApplied
+			 */
+			orientationApplied: null,
+
+			/**
+			 * Stereo rendering mode is turned on
+			 *
+			 * @private
+			 * @instance
+			 * @type {boolean}
+			 * @name Panorama.stereo
+			 */
+			stereo: false,
+
+			/**
+			 * Cameras of left and right eyes (created by first stereo frame)
+			 *
+			 * @private
+			 * @instance
+			 * @type {Array.<THREE~PerspectiveCamera>}
+			 * @name Panorama.stereoCameras
+			 */
+			stereoCameras: null,
+
+			/**
+			 * Render targets of left and right eyes for distortion pass
+			 *
+			 * @private
+			 * @instance
+			 * @type {Array.<THREE~WebGLRenderTarget>}
+			 * @name Panorama.stereoTargets
+			 */
+			stereoTargets: null,
+
+			/**
+			 * Scene with full-screen quad, camera and material of distortion pass
+			 *
+			 * @private
+			 * @instance
+			 * @type {Object.<*>}
+			 * @name Panorama.distortionPass
+			 */
+			distortionPass: null,
+
+			/**
+			 * Current projection (target projection while transition)
+			 *
+			 * @private
+			 * @instance
+			 * @type {string}
+			 * @name Panorama.projection
+			 */
+			projection: 'rectilinear',
+
+			/**
+			 * State of animated transition between projections
+			 * (previous projection, progress, promise and callback)
+			 *
+			 * @private
+			 * @instance
+			 * @type {Object.<*>|Null}
+			 * @name Panorama.projectionTransition
+			 */
+			projectionTransition: null,
+
+			/**
+			 * Cube camera, scene with full-screen quad, camera and material of projection pass
+			 *
+			 * @private
+			 * @instance
+			 * @type {Object.<*>}
+			 * @name Panorama.projectionPass
+			 */
+			projectionPass: null,
+
+			/**
+			 * Control bar (null if "controls" is disabled)
+			 *
+			 * @private
+			 * @instance
+			 * @type {jQuery|Null}
+			 * @name Panorama.$controls
+			 */
+			$controls: null
+
+		}; // private }}}1
+
+		// private helpers {{{1
+
+		/**
+		 * Getter helper
+		 *
+		 * @protected
+		 * @instance
+		 * @exception {Panorama~UnknownPrivateVariableName}
+		 * @returns {*} Private variable value
+		 * @this {Panorama}
+		 */
+		this.__getter = function (name) {
+			if (name in private) {
+				return private[name];
+			} else {
+				throw new self.exceptions.UnknownPrivateVariableName(null, name);
+			}
+		};
+
+		/**
+		 * Setter helper
+		 *
+		 * @protected
+		 * @instance
+		 * @exception {Panorama~UnknownPrivateVariableName}
+		 * @this {Panorama}
+		 */
+		this.__setter = function (name, val) {
+			if (name in private) {
+				private[name] = val;
+			} else {
+				throw new self.exceptions.UnknownPrivateVariableName(null, name);
+			}
+		};
+
+		/**
+		 * Cleanup private variables (destroy helper)
+		 *
+		 * @protected
+		 * @instance
+		 * @this {Panorama}
+		 */
+		this.__destroy = function () {
+			$selector = undefined;
+			params = undefined;
+			for (var key in private) {
+				delete private[key];
+			}
+			private = undefined;
+		};
+
+		// private helpers }}}1
+
+		private.listeners = {};
+
+		private.readyDeferred = $.Deferred();
+
+		/**
+		 * Resolved with instance of Panorama when all side textures is loaded
+		 * and first frame is drawn (at same time with constructor callback),
+		 * rejected with exception if instance cannot be created.
+		 *
+		 * @type jQuery.Promise
+		 * @public
+		 * @instance
+		 * @readOnly
+		 */
+		this.ready = private.readyDeferred.promise();
+
+		/**
+		 * Instance is destroyed (by "destroy" or after error)
+		 *
+		 * @type boolean
+		 * @public
+		 * @instance
+		 * @readOnly
+		 */
+		this.destroyed = false;
+
+		if (!$.isPlainObject(params)) {
+			self.makeError(new self.exceptions.IncorrectArgument());
+			return false;
+		}
+
+		// Parse optional arguments {{{1
+		if (!Array.prototype.slice.call(arguments, 2).every(function (arg, i) {
+			if (i > 0) {
+				self.makeError(new self.exceptions.IncorrectArgument());
+				return false;
+			}
+
+			if ($.type(arg) === 'function') {
+				if (!private.callback) {
+					private.callback = arg;
+				} else {
+					self.makeError(new self.exceptions.IncorrectArgument());
+					return false;
+				}
+			} else {
+				self.makeError(new self.exceptions.IncorrectArgument());
+				return false;
+			}
+
+			return true;
+		})) return false;
+		// Parse optional arguments }}}1
+
+		// this.params {{{1
+		/**
+		 * @typedef Panorama~paramsType
+		 * @type {Object.<*>}
+		 * @prop {string} panoramaCode Specific name of panorama for replacing in imgPathMask
+		 * @prop {string} imgPathMask Mask of path to image file of side of the panorama.
+		 * If it has "#LEVEL#" then sides is loaded as tiles (with "#X#" and "#Y#"),
+		 * level 0 is single tile preview of side, each next level has twice more tiles by each axis.
+		 * @prop {Array.<string>} [sideNames='right', 'left', 'top', 'bottom', 'back', 'front'] Side names (for imgPathMask)
+		 * @prop {Panorama~sideTextures} [sideTextures=null] Key-value object of absolute paths to side-textures
+		 * @prop {string} [equirectangular=null] Path to single equirectangular (2:1) image (instead of side-textures)
+		 * @prop {string} [cubeLayout=null] Layout of sides in "cubeImage" (key of {@link Panorama.cubeLayouts})
+		 * @prop {string} [cubeImage=null] Path to single image with all sides (instead of side-textures)
+		 * @prop {string} [fallbackTexture=null] Path to image that is used for sides which textures cannot be loaded
+		 * @prop {number} [textureRetries=0] Count of retries of loading texture image before it is failed
+		 * @prop {number} [tileSize=512] Size of tile image in pixels (for tiled sides)
+		 * @prop {number} [maxTileLevel=null] Maximum level of tiles (required for tiled sides)
+		 * @prop {number} [tileCacheSize=64] Maximum count of loaded tiles (not visible tiles is removed first)
+		 * @prop {number} [startZoom=0] Percent of zoom at start (0 is "maxFov", 100 is "minFov")
+		 * @prop {number} [minFov=10] Minimal fov value (for zoom)
+		 * @prop {number} [maxFov=75] Maximum fov value (for zoom)
+		 * @prop {float} [fovMouseStep=2.0] Step of zoom by mouse wheel
+		 * @prop {boolean} [mouseWheelRequired=false] Module "jquery.mousewheel" is required
+		 * @prop {number} [fpsLimit=30] Limit frames per second of animation
+		 * @prop {Panorama~autoRotateParams|boolean} [autoRotate] Auto-rotation of camera (boolean is shortcut for "enabled")
+		 * @prop {Panorama~keyboardParams|boolean} [keyboard] Keyboard navigation (boolean is shortcut for "enabled")
+		 * @prop {Panorama~kineticParams|boolean} [kinetic] Inertia of camera after dragging (boolean is shortcut for "enabled")
+		 * @prop {Panorama~deviceOrientationParams|boolean} [deviceOrientation] Look around by turning of device
+		 * (boolean is shortcut for "enabled")
+		 * @prop {Panorama~controlsParams|boolean} [controls] Built-in control bar
+		 * (boolean is shortcut for "enabled")
+		 * @prop {boolean} [stereo=false] Side-by-side stereo rendering at start (for VR headsets, WebGL only)
+		 * @prop {float} [eyeSeparation=2.0] Distance between left and right cameras in stereo mode
+		 * (in units of the scene, size of the box is 300)
+		 * @prop {float} [stereoDistortion=0] Strength of barrel distortion of each eye in stereo mode
+		 * (for lenses of headset, 0 is without distortion pass)
+		 * @prop {string} [projection='rectilinear'] Projection at start:
+		 * 'rectilinear' (usual perspective), 'stereographic' ("little planet" if camera looks down)
+		 * or 'fisheye' (equisolid); non-rectilinear projections requires WebGL
+		 * @prop {Object.<Panorama~fovLimits>} [projectionFov] Zoom limits by projection name
+		 * (rectilinear uses "minFov" and "maxFov" by default,
+		 * stereographic is from 60 to 300, fisheye is from 60 to 270)
+		 * @prop {string} [sceneCode=null] Code of scene in serialized view ("panoramaCode" by default)
+		 * @prop {boolean} [syncUrl=false] Keep serialized view in location hash
+		 * and restore view from it (at start and by "hashchange")
+		 * @prop {string} [syncUrlKey='view'] Name of parameter of location hash ("#view=...")
+		 * @prop {number} [syncUrlDelay=300] Minimal interval in milliseconds between updates of location hash
+		 * @prop {float} [pixelRatio=null] Pixel ratio of renderer ("devicePixelRatio" of window by default)
+		 * @prop {float} [maxPixelRatio=2] Limit of pixel ratio for performance
+		 * @prop {number} [resizePollInterval=500] Interval in milliseconds of checking of container size
+		 * (if ResizeObserver is not supported)
+		 * @prop {boolean} [sharedRenderer=false] Draw by renderer from {@link Panorama.rendererPool}
+		 * (WebGL only) to own 2D canvas, for many panoramas on one page.
+		 * Renderer is released while panorama is paused, hidden or out of viewport.
+		 * @prop {float} [startLon=null] Longitude of camera at start (90 by default)
+		 * @prop {float} [startLat=null] Latitude of camera at start (0 by default)
+		 * @prop {float} [minLat=null] Lower edge of panorama image by latitude
+		 * (camera is limited by -85 if it is null)
+		 * @prop {float} [maxLat=null] Upper edge of panorama image by latitude
+		 * (camera is limited by 85 if it is null)
+		 * @prop {float} [minLon=null] Left edge of panorama image by longitude
+		 * (longitude is not limited if "minLon" or "maxLon" is null)
+		 * @prop {float} [maxLon=null] Right edge of panorama image by longitude
+		 * (greater than "minLon" by no more than 360)
+		 * @prop {float} [elasticity=10.0] Maximum overshoot in degrees of camera
+		 * that is dragged over edges (it is returned back after release, 0 is hard edges)
+		 * @description Camera is limited by edges of image with current fov
+		 * (edges of image is never visible, for longitude it is checked
+		 * at horizontal edge of frame that is closest to pole).
+		 * @prop {string} [ariaLabel='Panorama'] Accessible label of container
+		 * @prop {string} [ariaHeadingMask='Heading #HEADING#°, pitch #PITCH#°'] Mask of text that is announced
+		 * by screen readers after keyboard navigation
+		 * @prop {boolean} [onlyWebGL=false] If WebGL is not supported - do not use canvas, make error
+		 */
+		/**
+		 * @public
+		 * @instance
+		 * @type {Panorama~paramsType}
+		 * @readOnly
+		 */
+		this.params = $.extend({
+
+			// default values
+
+			panoramaCode: null,
+			imgPathMask: null,
+			sideNames: sides.slice(0), // clone
+
+			/**
+			 * @typedef Panorama~sideTextures
+			 * @type {Object.<string>}
+			 * @prop {string} right Example: '/panorama/right.png'
+			 * @prop {string} left Example: '/panorama/right.png'
+			 * @prop {string} top Example: '/panorama/top.png'
+			 * @prop {string} bottom Example: '/panorama/bottom.png'
+			 * @prop {string} back Example: '/panorama/back.png'
+			 * @prop {string} front Example: '/panorama/front.png'
+			 */
+			sideTextures: null,
+
+			equirectangular: null,
+
+			cubeLayout: null,
+			cubeImage: null,
+
+			fallbackTexture: null,
+			textureRetries: 0,
+
+			tileSize: 512,
+			maxTileLevel: null,
+			tileCacheSize: 64,
+
+			startZoom: 0,
+			minFov: 10,
+			maxFov: 75,
+			fovMouseStep: 2.0,
+			mouseWheelRequired: false,
+			fpsLimit: 30,
+			autoRotate: null,
+			keyboard: null,
+			kinetic: null,
+			deviceOrientation: null,
+			controls: null,
+			stereo: false,
+			eyeSeparation: 2.0,
+			stereoDistortion: 0,
+			projection: 'rectilinear',
+			projectionFov: null,
+			sceneCode: null,
+			syncUrl: false,
+			syncUrlKey: 'view',
+			syncUrlDelay: 300,
+			pixelRatio: null,
+			maxPixelRatio: 2,
+			resizePollInterval: 500,
+			sharedRenderer: false,
+			startLon: null,
+			startLat: null,
+			minLat: null,
+			maxLat: null,
+			minLon: null,
+			maxLon: null,
+			elasticity: 10.0,
+			ariaLabel: 'Panorama',
+			ariaHeadingMask: 'Heading #HEADING#\u00b0, pitch #PITCH#\u00b0',
+			onlyWebGL: false
+
+		}, params);
+
+		/**
+		 * @typedef Panorama~autoRotateParams
+		 * @type {Object.<*>}
+		 * @prop {boolean} [enabled=true] Rotate camera when user does not hold it
+		 * @prop {float} [speed=3.0] Speed of rotation in degrees per second
+		 * @prop {string} [direction='right'] Direction of rotation ('right' or 'left')
+		 * @prop {number} [resumeDelay=0] Delay in milliseconds before rotation is resumed after user interaction
+		 * @prop {float|Null} [homeLat=null] Latitude to which camera returns while rotating (null is disabled)
+		 * @prop {number} [homeLatDuration=1000] Approximate duration in milliseconds of returning to "homeLat"
+		 * @description Auto-rotation is turned off at start if user prefers reduced motion
+		 * ("prefers-reduced-motion" media query), but still can be started by "startAutoRotate".
+		 */
+		this.params.autoRotate = $.extend({
+			enabled: true,
+			speed: 3.0,
+			direction: 'right',
+			resumeDelay: 0,
+			homeLat: null,
+			homeLatDuration: 1000
+		}, ($.type(this.params.autoRotate) === 'boolean') ?
+			{ enabled: this.params.autoRotate } : this.params.autoRotate);
+
+		/**
+		 * @typedef Panorama~fovLimits
+		 * @type {Object.<number>}
+		 * @prop {number} minFov Minimal fov value (for zoom)
+		 * @prop {number} maxFov Maximum fov value (for zoom)
+		 */
+		this.params.projectionFov = $.extend(true, {
+			rectilinear: { minFov: this.params.minFov, maxFov: this.params.maxFov },
+			stereographic: { minFov: 60, maxFov: 300 },
+			fisheye: { minFov: 60, maxFov: 270 }
+		}, this.params.projectionFov);
+
+		if ($.inArray(this.params.projection, projections) === -1) {
+			this.makeError(new this.exceptions.IncorrectArgument(
+				'Unknown projection: "' + this.params.projection + '"'
+			));
+			return false;
+		}
+
+		private.projection = this.params.projection;
+
+		if (
+			(this.params.minLon === null) !== (this.params.maxLon === null) ||
+			(this.params.minLon !== null && !(
+				this.params.maxLon > this.params.minLon &&
+				this.params.maxLon - this.params.minLon <= 360.0
+			)) ||
+			(this.params.minLat !== null && this.params.maxLat !== null &&
+				!(this.params.maxLat > this.params.minLat))
+		) {
+			this.makeError(new this.exceptions.IncorrectArgument(
+				'Incorrect limits of longitude or latitude'
+			));
+			return false;
+		}
+
+		if ($.inArray(this.params.autoRotate.direction, ['right', 'left']) === -1) {
+			this.makeError(new this.exceptions.IncorrectArgument(
+				'Unknown auto-rotation direction: "' + this.params.autoRotate.direction + '"'
+			));
+			return false;
+		}
+
+		private.autoRotating = this.params.autoRotate.enabled;
+
+		if (
+			window.matchMedia &&
+			window.matchMedia('(prefers-reduced-motion: reduce)').matches
+		) {
+			private.autoRotating = false;
+		}
+
+		/**
+		 * @typedef Panorama~keyboardParams
+		 * @type {Object.<*>}
+		 * @prop {boolean} [enabled=true] Control camera by keyboard (arrows, +/-, Home) when container is focused
+		 * @prop {float} [panStep=5.0] Step of longitude and latitude in degrees by arrow keys
+		 * @prop {number} [zoomStep=10] Step of zoom in percents by +/- keys
+		 */
+		this.params.keyboard = $.extend({
+			enabled: true,
+			panStep: 5.0,
+			zoomStep: 10
+		}, ($.type(this.params.keyboard) === 'boolean') ?
+			{ enabled: this.params.keyboard } : this.params.keyboard);
+
+		/**
+		 * @typedef Panorama~kineticParams
+		 * @type {Object.<*>}
+		 * @prop {boolean} [enabled=true] Continue motion of camera after user released it
+		 * @prop {float} [friction=3.0] Exponential decay rate of speed per second
+		 * @prop {float} [minSpeed=2.0] Motion is stopped when speed is less (in degrees per second)
+		 */
+		this.params.kinetic = $.extend({
+			enabled: true,
+			friction: 3.0,
+			minSpeed: 2.0
+		}, ($.type(this.params.kinetic) === 'boolean') ?
+			{ enabled: this.params.kinetic } : this.params.kinetic);
+
+		/**
+		 * @typedef Panorama~deviceOrientationParams
+		 * @type {Object.<*>}
+		 * @prop {boolean} [enabled=false] Enable device orientation mode when panorama is ready
+		 * (see {@link Panorama#enableDeviceOrientation})
+		 * @prop {number} [timeout=3000] Sensor is unavailable if there is no data
+		 * from it during this time in milliseconds
+		 */
+		this.params.deviceOrientation = $.extend({
+			enabled: false,
+			timeout: 3000
+		}, ($.type(this.params.deviceOrientation) === 'boolean') ?
+			{ enabled: this.params.deviceOrientation } : this.params.deviceOrientation);
+
+		/**
+		 * @typedef Panorama~controlsParams
+		 * @type {Object.<*>}
+		 * @prop {boolean} [enabled=false] Show control bar inside of panorama
+		 * @prop {Array.<string>} [buttons=['zoomIn', 'zoomOut', 'reset', 'autorotate', 'fullscreen']]
+		 * Buttons in order: 'zoomIn', 'zoomOut', 'toggleZoom', 'reset', 'autorotate',
+		 * 'fullscreen', 'stereo', 'deviceOrientation'
+		 * (buttons that is not supported by browser is not shown)
+		 * @prop {string} [position='bottom'] Position of bar: 'top', 'bottom', 'left' or 'right'
+		 * @prop {Object.<string>} [labels] Labels of buttons by name (for localization)
+		 * @prop {number} [zoomStep=10] Step of zoom in percents by zoom buttons
+		 * @prop {boolean} [defaultStyles=true] Add default stylesheet to document
+		 * (bar and buttons has "panorama_controls" and "panorama_control" classes for themes)
+		 */
+		this.params.controls = $.extend({
+			enabled: false,
+			buttons: ['zoomIn', 'zoomOut', 'reset', 'autorotate', 'fullscreen'],
+			position: 'bottom',
+			zoomStep: 10,
+			defaultStyles: true
+		}, ($.type(this.params.controls) === 'boolean') ?
+			{ enabled: this.params.controls } : this.params.controls);
+
+		this.params.controls.labels = $.extend({
+			zoomIn: 'Zoom in',
+			zoomOut: 'Zoom out',
+			toggleZoom: 'Toggle zoom',
+			reset: 'Reset view',
+			autorotate: 'Auto-rotation',
+			fullscreen: 'Fullscreen',
+			stereo: 'Stereo mode',
+			deviceOrientation: 'Device orientation'
+		}, this.params.controls.labels);
+
+		if ($.inArray(this.params.controls.position, ['top', 'bottom', 'left', 'right']) === -1) {
+			this.makeError(new this.exceptions.IncorrectArgument(
+				'Unknown position of controls: "' + this.params.controls.position + '"'
+			));
+			return false;
+		}
+
+		if (!this.params.controls.buttons.every(function (name) {
+			if (!(name in controlButtons)) {
+				self.makeError(new self.exceptions.IncorrectArgument(
+					'Unknown control button: "' + name + '"'
+				));
+				return false;
+			}
+			return true;
+		})) return false;
+		// this.params }}}1
+
+		// check for required parameters {{{1
+		if (this.params.cubeLayout !== null || this.params.cubeImage !== null) {
+			if (this.params.cubeLayout === null || this.params.cubeImage === null) {
+				this.makeError(new this.exceptions.RequiredParameter(
+					'Required parameters: "cubeLayout" and "cubeImage" both'
+				));
+				return false;
+			}
+			if (!(this.params.cubeLayout in Panorama.cubeLayouts)) {
+				this.makeError(new this.exceptions.IncorrectArgument(
+					'Unknown cube layout: "' + this.params.cubeLayout + '"'
+				));
+				return false;
+			}
+		} else if (this.params.equirectangular !== null) {
+			// side textures is generated from single image
+		} else if (this.params.sideTextures === null) {
+			if (this.params.panoramaCode === null || this.params.imgPathMask === null) {
+				this.makeError(new this.exceptions.RequiredParameter());
+				return false;
+			}
+			if (
+				this.params.imgPathMask.indexOf('#LEVEL#') !== -1 &&
+				this.params.maxTileLevel === null
+			) {
+				this.makeError(new this.exceptions.RequiredParameter(
+					'Required parameter for tiled sides: "maxTileLevel"'
+				));
+				return false;
+			}
+		} else {
+			if (!sides.every(function (side) {
+				if (!(side in self.params.sideTextures)) {
+					self.makeError(
+						new self.exceptions
+							.RequiredSideTexture('No '+side+' side texture')
+					);
+					return false;
+				}
+				return true;
+			})) return false;
+		}
+		// check for required parameters }}}1
+
+		// container initialization {{{1
+		/**
+		 * Container of the panorama
+		 *
+		 * @type jQuery
+		 * @public
+		 * @instance
+		 * @readOnly
+		 */
+		this.$container = $($selector);
+
+		if (this.$container.size() < 1) {
+			this.makeError(new this.exceptions.NoContainer());
+			return false;
+		}
+
+		if (this.$container.data('panorama')) {
+			this.makeError(new this.exceptions.SinglePanoramaPerContainer());
+			return false;
+		}
+		// container initialization }}}1
+
+		/**
+		 * Unique panorama identificator.
+		 * Value is automatically generated when created constructor instance.
+		 * Will be used for bind handlers.
+		 *
+		 * @type string
+		 * @public
+		 * @instance
+		 * @readOnly
+		 */
+		this.panoramaId = 'panorama_id_' + (new Date()).getTime() +
+			Math.round(Math.random() * 1000000000);
+
+		// drawing of hidden container is deferred until it gets size
+		private.containerSize = {
+			width: this.$container.width(),
+			height: this.$container.height()
+		};
+
+		private.camera = new THREE.PerspectiveCamera(
+			this.zoom(self.params.startZoom, true),
+			(private.containerSize.height > 0) ?
+				private.containerSize.width / private.containerSize.height : 1,
+			1, 1000
+		);
+		private.scene = new THREE.Scene();
+
+		private.$texturePlaceholder = $('<canvas/>');
+		private.$texturePlaceholder.width(1200);
+		private.$texturePlaceholder.height(1200);
+
+		private.textureContext = private.$texturePlaceholder.get(0).getContext('2d');
+		private.textureContext.fillStyle = private.fillColor;
+		private.textureContext.fillRect(
+			0, 0,
+			private.$texturePlaceholder.width(),
+			private.$texturePlaceholder.height()
+		);
+
+		private.textureProgress = { loaded: 0, total: sides.length, sides: {}, failed: {} };
+		sides.every(function (side) {
+			private.textureProgress.sides[side] = 'pending';
+			return true;
+		});
+		private.texturesDeferred = $.Deferred();
+
+		private.materials = [];
+		if (this.params.cubeLayout !== null) {
+			private.materials = this.loadCubeLayout(
+				this.params.cubeImage,
+				this.params.cubeLayout
+			);
+		} else if (this.params.equirectangular !== null) {
+			private.materials = this.loadEquirectangular(this.params.equirectangular);
+		} else if (this.params.sideTextures === null) {
+			if (this.params.imgPathMask.indexOf('#LEVEL#') !== -1) {
+				private.tiles = {};
+			}
+
+			// level 0 is preview of tiled side
+			sides.every(function (side, i) {
+				private.materials.push(
+					self.loadTexture(self.getSidePath(i, 0, 0, 0), side)
+				);
+				return true;
+			});
+		} else {
+			sides.every(function (side) {
+				private.materials.push(self.loadTexture(
+					self.params.sideTextures[side],
+					side
+				));
+				return true;
+			});
+		}
+
+		private.geometry = new THREE.BoxGeometry(300, 300, 300, 7, 7, 7);
+		private.materialToMesh = new THREE.MeshFaceMaterial(private.materials);
+
+		private.mesh = new THREE.Mesh(private.geometry, private.materialToMesh);
+		private.mesh.scale.x = -1;
+		private.scene.add(private.mesh);
+
+		private.target = new THREE.Vector3();
+
+		private.hotspots = [];
+
+		// renderer init {{{1
+		if (Modernizr.webgl) {
+			try {
+				if (this.params.sharedRenderer) {
+					private.renderer = Panorama.rendererPool.acquire();
+					private.rendererActive = true;
+					private.canvas = document.createElement('canvas');
+					private.canvas.style.display = 'block';
+				} else {
+					private.renderer = new THREE.WebGLRenderer({
+						alpha: true,
+						devicePixelRatio: this.getPixelRatio() // three.js before r70
+					});
+				}
+			} catch (e) {
+				// chromium bug
+				if (Modernizr.canvas && !this.params.onlyWebGL) {
+					try {
+						private.renderer = new THREE.CanvasRenderer({
+							alpha: true,
+							devicePixelRatio: this.getPixelRatio() // three.js before r70
+						});
+					} catch (err) {
+						self.makeError(new self.exceptions.RendererInitError());
+						return false;
+					}
+				} else {
+					self.makeError(new self.exceptions.NoSupportedRenderer());
+					return false;
+				}
+			} // try-catch
+		} else if (Modernizr.canvas && !this.params.onlyWebGL) {
+			try {
+				private.renderer = new THREE.CanvasRenderer({
+					alpha: true,
+					devicePixelRatio: this.getPixelRatio() // three.js before r70
+				});
+			} catch (e) {
+				self.makeError(new self.exceptions.RendererInitError());
+				return false;
+			}
+		} else {
+			self.makeError(new self.exceptions.NoSupportedRenderer());
+			return false;
+		}
+		if (!private.canvas) {
+			if (private.renderer.setPixelRatio) private.renderer.setPixelRatio(this.getPixelRatio());
+			private.renderer.setClearColor(0xffffff, 0);
+		}
+		this.updateRendererSize();
+		// renderer init }}}1
+
+		if (this.params.stereo) {
+			try {
+				this.setStereo(true);
+			} catch (err) {
+				self.makeError(err);
+				return false;
+			}
+		}
+
+		if (
+			private.projection !== 'rectilinear' &&
+			!(private.renderer instanceof THREE.WebGLRenderer)
+		) {
+			self.makeError(new self.exceptions.ProjectionNotSupported());
+			return false;
+		}
+
+		/**
+		 * Time in milliseconds when last animation frame was drawn
+		 *
+		 * @type float
+		 * @public
+		 * @instance
+		 * @readOnly
+		 */
+		this.lastAnimationUpdate = 0.0;
+
+		/**
+		 * Wrapper of the panorama that putted to container of the panorama
+		 *
+		 * @type jQuery
+		 * @public
+		 * @instance
+		 * @readOnly
+		 */
+		this.$panoramaWrapper = $('<div/>').addClass('panorama_wrapper').css({
+			position: 'relative', // for hotspots
+			overflow: 'hidden'
+		});
+
+		this.$panoramaWrapper.html( private.canvas || private.renderer.domElement );
+		this.$container.append( this.$panoramaWrapper );
+
+		this.$container.data('panorama', this);
+
+		if (this.params.controls.enabled) this.createControls();
+
+		if (this.params.startLon !== null) private.lon = this.params.startLon;
+		if (this.params.startLat !== null) private.lat = this.params.startLat;
+		this.applyView({}); // inside of limits
+
+		private.homeView = this.getView();
+
+		if (this.params.syncUrl) {
+			private.urlValue = getHashParam(this.params.syncUrlKey);
+			if (private.urlValue !== null) this.restoreView(private.urlValue);
+		}
+
+		// accessibility {{{1
+		private.containerAttrs = {};
+		$.each(['tabindex', 'role', 'aria-roledescription', 'aria-label'], function (i, name) {
+			private.containerAttrs[name] = self.$container.attr(name);
+		});
+
+		this.$container.attr({
+			'role': 'application',
+			'aria-roledescription': 'panorama',
+			'aria-label': this.params.ariaLabel
+		});
+		if (this.params.keyboard.enabled && private.containerAttrs.tabindex === undefined) {
+			this.$container.attr('tabindex', 0);
+		}
+
+		// visually hidden
+		private.$liveRegion = $('<div/>')
+			.addClass('panorama_live_region')
+			.attr({ 'role': 'status', 'aria-live': 'polite' })
+			.css({
+				position: 'absolute',
+				width: '1px',
+				height: '1px',
+				margin: '-1px',
+				padding: 0,
+				border: 0,
+				overflow: 'hidden',
+				clip: 'rect(0 0 0 0)',
+				whiteSpace: 'nowrap'
+			});
+		this.$panoramaWrapper.append(private.$liveRegion);
+		// accessibility }}}1
+
+		// handlers bindings {{{1
+		/**
+		 * @public
+		 * @instance
+		 * @type function
+		 * @this {window}
+		 */
+		this.resizeHandlerWrapper = function () {
+			self.handlers.resizeHandler.call(this, self);
+		};
+
+		$(window).bind(
+			'resize.' + this.panoramaId,
+			this.resizeHandlerWrapper
+		);
+
+		/** size of container could be changed without resize of window */
+		if (window.ResizeObserver) {
+			private.resizeObserver = new ResizeObserver(function () {
+				if (self.destroyed) return;
+				self.handlers.resizeHandler.call(window, self);
+			});
+			private.resizeObserver.observe(this.$container.get(0));
+		} else {
+			private.resizeTimer = setInterval(
+				this.resizeHandlerWrapper,
+				this.params.resizePollInterval
+			);
+		}
+
+		$(document).bind(
+			$.map(fullscreenEvents, function (name) {
+				return name + '.' + self.panoramaId;
+			}).join(' '),
+			function () {
+				self.handlers.fullscreenChangeHandler.call(this, self);
+			}
+		);
+
+		/** stop animation loop when page is hidden or container is out of viewport */
+		if (document.hidden !== undefined) {
+			private.hidden = document.hidden;
+			$(document).bind('visibilitychange.' + this.panoramaId, function () {
+				self.handlers.visibilityChangeHandler.call(this, self);
+			});
+		}
+
+		if (window.IntersectionObserver) {
+			private.intersectionObserver = new IntersectionObserver(function (entries) {
+				if (self.destroyed) return;
+
+				self.__setter('offscreen', !entries[entries.length - 1].isIntersecting);
+				self.invalidate(); // view could be changed while loop is suspended
+			});
+			private.intersectionObserver.observe(this.$container.get(0));
+		}
+
+		if (this.params.syncUrl) {
+			$(window).bind('hashchange.' + this.panoramaId, function () {
+				self.handlers.hashChangeHandler.call(this, self);
+			});
+		}
+
+		if (window.PointerEvent) {
+			/** move camera by mouse, touch pad or pen */
+			private.pointers = {};
+			private.touchAction = this.$container.get(0).style.touchAction;
+			this.$container.css('touch-action', 'none'); // no scroll while dragging
+
+			this.$container.bind(
+				'pointerdown.' + this.panoramaId,
+				this.handlers.pointerDownHandler
+			);
+			this.$container.bind(
+				'pointermove.' + this.panoramaId,
+				this.handlers.pointerMoveHandler
+			);
+			this.$container.bind(
+				'pointerup.' + this.panoramaId +
+				' pointercancel.' + this.panoramaId,
+				this.handlers.pointerUpHandler
+			);
+		} else {
+			/** move camera by mouse */
+			this.$container.bind(
+				'mousedown.' + this.panoramaId,
+				this.handlers.mouseDownHandler
+			);
+			this.$container.bind(
+				'mousemove.' + this.panoramaId,
+				this.handlers.mouseMoveHandler
+			);
+			this.$container.bind(
+				'mouseup.' + this.panoramaId,
+				this.handlers.mouseUpHandler
+			);
+
+			/** move camera by touch pad */
+			this.$container.bind(
+				'touchstart.' + this.panoramaId,
+				this.handlers.touchStartHandler
+			);
+			this.$container.bind(
+				'touchmove.' + this.panoramaId,
+				this.handlers.touchMoveHandler
+			);
+			this.$container.bind(
+				'touchend.' + this.panoramaId,
+				this.handlers.touchEndHandler
+			);
+		}
+
+		/** move camera by keyboard */
+		if (this.params.keyboard.enabled) {
+			this.$container.bind(
+				'keydown.' + this.panoramaId,
+				this.handlers.keyDownHandler
+			);
+		}
+		// handlers bindings }}}1
+
+		if (!private.callback) this.draw(); // draw first frame
+
+		var mouseWheelDeferred = $.Deferred();
+
+		// when all sides is loaded and zoom by mouse scroll is initialized
+		$.when(private.texturesDeferred, mouseWheelDeferred).done(function () {
+			if (self.destroyed) return;
+
+			self.draw(); // draw first frame with textures
+			setTimeout(function () { // async
+				if (self.destroyed) return;
+				if (private.callback) private.callback.call(self, null);
+				private.readyDeferred.resolveWith(self, [self]);
+				self.emit('ready');
+
+				if (self.params.syncUrl) self.updateUrl();
+
+				if (self.params.deviceOrientation.enabled) {
+					self.enableDeviceOrientation();
+				}
+			}, 1);
+		});
+
+		// zoom by mouse scroll {{{1
+		require(['jquery.mousewheel'], function () {
+			if (self.destroyed) return;
+
+			self.$container.bind(
+				'mousewheel.' + self.panoramaId,
+				self.handlers.mouseWheelHandler
+			);
+
+			mouseWheelDeferred.resolve();
+		}, function (err) {
+			if (self.destroyed) return;
+
+			if (self.params.mouseWheelRequired) {
+				self.makeAsyncError(err);
+				return false;
+			} else {
+				mouseWheelDeferred.resolve();
+			}
+		});
+		// zoom by mouse scroll }}}1
+	}
+
+	// Panorama.prototype.loadTexture {{{1
+	/**
+	 * Load texture helper
+	 *
+	 * @memberOf Panorama
+	 * @param {string} path Path to texture image file
+	 * @param {string} side Name of side (from 'right', 'left', 'top', 'bottom', 'back', 'front')
+	 * @protected
+	 * @static
+	 * @returns {THREE~Texture}
+	 */
+	Panorama.prototype.loadTexture = function (path, side) {
+		var material = this.createMaterial();
+		var texture = material.map;
+
+		this.loadImage(path, false, function (img) {
+			if (!img) {
+				this.loadFallback([side], [texture], path);
+				return;
+			}
+
+			texture.image = img;
+			texture.needsUpdate = true;
+
+			this.setSideState(side, 'loaded', path);
+		});
+
+		return material;
+	};
+	// Panorama.prototype.loadTexture }}}1
+
+	// Panorama.prototype.loadImage {{{1
+	/**
+	 * @callback Panorama~loadImageCallback
+	 * @param {Image|Null} img Loaded image or null if it cannot be loaded
+	 * @this {Panorama} Instance of Panorama
+	 */
+	/**
+	 * Load image with retries (see "textureRetries" parameter)
+	 *
+	 * @memberOf Panorama
+	 * @param {string} path Path to image file
+	 * @param {boolean} crossOrigin Request image with CORS (for reading pixels)
+	 * @param {Panorama~loadImageCallback} callback Is not called if instance is destroyed
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.loadImage = function (path, crossOrigin, callback) {
+		var self = this;
+		var attempts = 0;
+
+		(function attempt() {
+			var img = new Image();
+			if (crossOrigin) img.crossOrigin = 'anonymous';
+
+			$(img).load(function () {
+				if (self.destroyed) return;
+				callback.call(self, img);
+			}).error(function () {
+				if (self.destroyed) return;
+
+				if (attempts < self.params.textureRetries) {
+					attempts++;
+					attempt();
+					return;
+				}
+
+				callback.call(self, null);
+			}).attr('src', path);
+		})();
+	};
+	// Panorama.prototype.loadImage }}}1
+
+	// Panorama.prototype.loadFallback {{{1
+	/**
+	 * Put "fallbackTexture" to sides which textures cannot be loaded
+	 * or mark sides as failed if there is no fallback texture
+	 * (see "setSideState")
+	 *
+	 * @memberOf Panorama
+	 * @param {Array.<string>} sideNames Names of failed sides
+	 * @param {Array.<THREE~Texture>} textures Textures of failed sides
+	 * @param {string} path Path to image that cannot be loaded
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.loadFallback = function (sideNames, textures, path) {
+		var self = this;
+
+		function fail() {
+			$.each(sideNames, function (i, side) {
+				self.setSideState(side, 'failed', path);
+			});
+		}
+
+		if (this.params.fallbackTexture === null) {
+			fail();
+			return;
+		}
+
+		this.loadImage(this.params.fallbackTexture, false, function (img) {
+			if (!img) {
+				fail();
+				return;
+			}
+
+			$.each(textures, function (i, texture) {
+				texture.image = img;
+				texture.needsUpdate = true;
+
+				self.setSideState(sideNames[i], 'fallback', self.params.fallbackTexture);
+			});
+		});
+	};
+	// Panorama.prototype.loadFallback }}}1
+
+	// Panorama.prototype.setSideState {{{1
+	/**
+	 * Update loading progress of side texture.
+	 * When all sides is loaded or failed, failed sides is reported
+	 * by single {@link Panorama~TextureLoadError}.
+	 *
+	 * @memberOf Panorama
+	 * @param {string} side Name of side
+	 * @param {string} state New state ('loaded', 'fallback' or 'failed')
+	 * @param {string} path Path to image of side
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.setSideState = function (side, state, path) {
+		var progress = this.__getter('textureProgress');
+
+		progress.sides[side] = state;
+		this.invalidate();
+
+		if (state === 'failed') {
+			progress.failed[side] = path;
+		} else {
+			progress.loaded++;
+			this.emit('textureload', {
+				side: side,
+				path: path,
+				fallback: state === 'fallback'
+			});
+		}
+
+		this.emit('progress', this.getLoadProgress());
+
+		if (progress.loaded === progress.total) {
+			this.__getter('texturesDeferred').resolve();
+			return;
+		}
+
+		var failedSides = $.map(progress.failed, function (failedPath, failedSide) {
+			return failedSide;
+		});
+		if (progress.loaded + failedSides.length < progress.total) return;
+
+		var urls = [];
+		$.each(progress.failed, function (failedSide, failedPath) {
+			if ($.inArray(failedPath, urls) === -1) urls.push(failedPath);
+		});
+
+		this.makeAsyncError(new this.exceptions.TextureLoadError(
+			null,
+			(failedSides.length === 1) ? failedSides[0] : null,
+			(urls.length === 1) ? urls[0] : null,
+			failedSides,
+			urls
+		));
+	};
+	// Panorama.prototype.setSideState }}}1
+
+	// Panorama.prototype.getLoadProgress {{{1
+	/**
+	 * @typedef Panorama~loadProgress
+	 * @type {Object.<*>}
+	 * @prop {number} loaded Count of loaded sides (including fallbacks)
+	 * @prop {number} total Count of all sides
+	 * @prop {Object.<string>} sides States of sides by side names
+	 * ('pending', 'loaded', 'fallback' or 'failed')
+	 */
+	/**
+	 * Get progress of loading side textures
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {Panorama~loadProgress}
+	 */
+	Panorama.prototype.getLoadProgress = function () {
+		var progress = this.__getter('textureProgress');
+
+		return {
+			loaded: progress.loaded,
+			total: progress.total,
+			sides: $.extend({}, progress.sides)
+		};
+	};
+	// Panorama.prototype.getLoadProgress }}}1
+
+	// Panorama.prototype.createMaterial {{{1
+	/**
+	 * Create material of side with placeholder texture
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 * @returns {THREE~Material}
+	 */
+	Panorama.prototype.createMaterial = function () {
+		var texture = new THREE.Texture(this.__getter('$texturePlaceholder').get(0));
+
+		return new THREE.MeshBasicMaterial({
+			map: texture,
+			overdraw: true
+		});
+	};
+	// Panorama.prototype.createMaterial }}}1
+
+	// Panorama.prototype.loadEquirectangular {{{1
+	/**
+	 * Load equirectangular image and generate side textures from it
+	 *
+	 * @memberOf Panorama
+	 * @param {string} path Path to equirectangular image file
+	 * @protected
+	 * @static
+	 * @returns {Array.<THREE~Material>} Materials of sides (in order of sides)
+	 */
+	Panorama.prototype.loadEquirectangular = function (path) {
+		var self = this;
+		var materials = $.map(sides, function () {
+			return self.createMaterial();
+		});
+
+		var textures = $.map(materials, function (material) {
+			return material.map;
+		});
+
+		// CORS for reading pixels of images from other domains
+		this.loadImage(path, true, function (img) {
+			var source = null;
+
+			if (img) {
+				var canvas = document.createElement('canvas');
+				canvas.width = img.width;
+				canvas.height = img.height;
+
+				var context = canvas.getContext('2d');
+				context.drawImage(img, 0, 0);
+
+				try {
+					source = context.getImageData(0, 0, img.width, img.height);
+				} catch (e) {
+					// security error (image from other domain without CORS)
+				}
+			}
+
+			if (!source) {
+				this.loadFallback(sides.slice(0), textures, path);
+				return;
+			}
+
+			var size = equirectangularSideSize(img.width);
+
+			// one side per iteration for keep page responsive
+			(function generate(index) {
+				if (self.destroyed) return;
+
+				textures[index].image = equirectangularToSide(source, index, size);
+				textures[index].needsUpdate = true;
+
+				self.setSideState(sides[index], 'loaded', path);
+
+				if (index + 1 < sides.length) {
+					setTimeout(function () { generate(index + 1); }, 1);
+				}
+			})(0);
+		});
+
+		return materials;
+	};
+	// Panorama.prototype.loadEquirectangular }}}1
+
+	// Panorama.prototype.loadCubeLayout {{{1
+	/**
+	 * Load single image with all sides and slice it to side textures
+	 *
+	 * @memberOf Panorama
+	 * @param {string} path Path to image file
+	 * @param {string} layoutName Key of {@link Panorama.cubeLayouts}
+	 * @protected
+	 * @static
+	 * @returns {Array.<THREE~Material>} Materials of sides (in order of sides)
+	 */
+	Panorama.prototype.loadCubeLayout = function (path, layoutName) {
+		var self = this;
+		var layout = Panorama.cubeLayouts[layoutName];
+		var materials = $.map(sides, function () {
+			return self.createMaterial();
+		});
+
+		// CORS for WebGL textures from other domains
+		this.loadImage(path, true, function (img) {
+			if (!img) {
+				this.loadFallback(sides.slice(0), $.map(materials, function (material) {
+					return material.map;
+				}), path);
+				return;
+			}
+
+			var cellWidth = img.width / layout.columns;
+			var cellHeight = img.height / layout.rows;
+
+			// sides must be square
+			if (Math.abs(cellWidth / cellHeight - 1) > 0.01) {
+				self.makeAsyncError(new self.exceptions.CubeLayoutMismatch(
+					'Aspect ratio of cube image ' + img.width + 'x' + img.height +
+					' does not match cube layout "' + layoutName + '" (' +
+					layout.columns + ':' + layout.rows + ')'
+				));
+				return;
+			}
+
+			var size = Math.floor(cellWidth);
+
+			$.each(layout.cells, function (index, cell) {
+				var canvas = document.createElement('canvas');
+				canvas.width = size;
+				canvas.height = size;
+
+				var context = canvas.getContext('2d');
+				if (cell[2]) {
+					context.translate(size / 2, size / 2);
+					context.rotate(THREE.Math.degToRad(cell[2]));
+					context.translate(-size / 2, -size / 2);
+				}
+				context.drawImage(
+					img,
+					Math.round(cell[0] * cellWidth), Math.round(cell[1] * cellHeight),
+					size, size,
+					0, 0, size, size
+				);
+
+				var texture = materials[index].map;
+				texture.image = canvas;
+				texture.needsUpdate = true;
+
+				self.setSideState(sides[index], 'loaded', path);
+			});
+		});
+
+		return materials;
+	};
+	// Panorama.prototype.loadCubeLayout }}}1
+
+	// Panorama.cubeLayouts {{{1
+	/**
+	 * @typedef {Object.<*>} Panorama~cubeLayout
+	 * @prop {number} columns Columns of sides grid
+	 * @prop {number} rows Rows of sides grid
+	 * @prop {Array.<Array.<number>>} cells Column, row and rotation (in degrees)
+	 * of each side in order: 'right', 'left', 'top', 'bottom', 'back', 'front'
+	 */
+	/**
+	 * Layouts of sides in single cube image (for "cubeLayout" parameter).
+	 * "strip" and "3x2" contains sides in order
+	 * 'right', 'left', 'top', 'bottom', 'back', 'front'.
+	 * Crosses has "back" side (start view direction) in center,
+	 * sides around are placed as they adjoin to it.
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @type {Object.<Panorama~cubeLayout>}
+	 * @static
+	 * @readOnly
+	 */
+	Panorama.cubeLayouts = {
+		'strip': {
+			columns: 6,
+			rows: 1,
+			cells: [[0, 0], [1, 0], [2, 0], [3, 0], [4, 0], [5, 0]]
+		},
+		'3x2': {
+			columns: 3,
+			rows: 2,
+			cells: [[0, 0], [1, 0], [2, 0], [0, 1], [1, 1], [2, 1]]
+		},
+		'cross-horizontal': {
+			columns: 4,
+			rows: 3,
+			cells: [[2, 1], [0, 1], [1, 0], [1, 2], [1, 1], [3, 1]]
+		},
+		'cross-vertical': {
+			columns: 3,
+			rows: 4,
+			// "front" is continuation of the cross down after "bottom"
+			cells: [[2, 1], [0, 1], [1, 0], [1, 2], [1, 1], [1, 3, 180]]
+		}
+	};
+	// Panorama.cubeLayouts }}}1
+
+	// Panorama.prototype.zoom {{{1
+	/**
+	 * Set zoom
+	 *
+	 * @memberOf Panorama
+	 * @param {number} percent Percent of zoom
+	 * @param {boolean} [justCalculate=false] Do not set fov to camera, just return new fov value
+	 * @public
+	 * @static
+	 * @returns {number}
+	 */
+	Panorama.prototype.zoom = function (percent, justCalculate) {
+		if (!(percent >= 0)) percent = 0; // also NaN
+		if (percent > 100) percent = 100;
+		percent = 100 - percent; // invert value
+
+		var limits = this.getFovLimits();
+		var newFov = Math.round(
+			(percent * (
+				limits.maxFov - limits.minFov
+			) / 100) + limits.minFov
+		);
+
+		if (!justCalculate) {
+			this.__getter('camera').fov = newFov;
+			this.__getter('camera').updateProjectionMatrix();
+			this.invalidate();
+		}
+
+		return newFov;
+	};
+	// Panorama.prototype.zoom }}}1
+
+	// Panorama.prototype.startVelocityTracking {{{1
+	/**
+	 * Start tracking of dragging velocity (stops current inertia)
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.startVelocityTracking = function () {
+		this.__setter('inertia', null);
+		this.__setter('velocity', {
+			lon: 0,
+			lat: 0,
+			time: (new Date()).getTime(),
+			lastLon: this.__getter('lon'),
+			lastLat: this.__getter('lat')
+		});
+	};
+	// Panorama.prototype.startVelocityTracking }}}1
+
+	// Panorama.prototype.trackVelocity {{{1
+	/**
+	 * Sample velocity of dragging (after camera is moved by user)
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.trackVelocity = function () {
+		var state = this.__getter('velocity');
+		if (!state) return;
+
+		var now = (new Date()).getTime();
+		var dt = now - state.time;
+		if (dt <= 0) return;
+
+		// smoothing (last samples have more weight)
+		var weight = Math.min(1, dt / 50);
+		var lon = this.__getter('lon');
+		var lat = this.__getter('lat');
+
+		state.lon = state.lon * (1 - weight) + (lon - state.lastLon) / dt * weight;
+		state.lat = state.lat * (1 - weight) + (lat - state.lastLat) / dt * weight;
+		state.time = now;
+		state.lastLon = lon;
+		state.lastLat = lat;
+	};
+	// Panorama.prototype.trackVelocity }}}1
+
+	// Panorama.prototype.releaseVelocity {{{1
+	/**
+	 * Start inertia of camera by tracked velocity (when user released camera)
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.releaseVelocity = function () {
+		var state = this.__getter('velocity');
+		this.__setter('velocity', null);
+		this.invalidate(); // inertia or returning inside of limits
+
+		if (!state || !this.params.kinetic.enabled) return;
+
+		// device orientation controls camera after release
+		if (this.__getter('orientationEnabled')) return;
+
+		// user stopped before release
+		if ((new Date()).getTime() - state.time > 100) return;
+
+		var speed = Math.sqrt(state.lon * state.lon + state.lat * state.lat) * 1000;
+		if (speed < this.params.kinetic.minSpeed) return;
+
+		this.__setter('inertia', { lon: state.lon, lat: state.lat });
+	};
+	// Panorama.prototype.releaseVelocity }}}1
+
+	// Panorama.prototype.applyInertia {{{1
+	/**
+	 * Move camera by inertia (on each frame)
+	 *
+	 * @memberOf Panorama
+	 * @param {number} now Current time in milliseconds
+	 * @param {number} delta Time in milliseconds from previous frame
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.applyInertia = function (now, delta) {
+		var inertia = this.__getter('inertia');
+		if (!inertia || this.__getter('holdByUser')) return;
+
+		this.__setter('lon', this.__getter('lon') + inertia.lon * delta);
+		this.__setter('lat', this.__getter('lat') + inertia.lat * delta);
+
+		var decay = Math.exp(-this.params.kinetic.friction * delta / 1000);
+		inertia.lon *= decay;
+		inertia.lat *= decay;
+
+		var speed = Math.sqrt(inertia.lon * inertia.lon + inertia.lat * inertia.lat) * 1000;
+		if (speed < this.params.kinetic.minSpeed) {
+			this.__setter('inertia', null);
+			// "resumeDelay" of auto-rotation is started when motion is finished
+			this.__setter('interactionEndTime', now);
+		}
+	};
+	// Panorama.prototype.applyInertia }}}1
+
+	// Panorama.prototype.pinchStart {{{1
+	/**
+	 * Start zoom by pinch gesture
+	 *
+	 * @memberOf Panorama
+	 * @param {float} distance Distance between fingers
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.pinchStart = function (distance) {
+		this.__setter('pinchState', {
+			distance: Math.max(distance, 1),
+			fov: this.__getter('camera').fov
+		});
+	};
+	// Panorama.prototype.pinchStart }}}1
+
+	// Panorama.prototype.pinchMove {{{1
+	/**
+	 * Zoom by pinch gesture (fov is inversely proportional to distance between fingers)
+	 *
+	 * @memberOf Panorama
+	 * @param {float} distance Distance between fingers
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.pinchMove = function (distance) {
+		var pinchState = this.__getter('pinchState');
+
+		this.applyView({
+			fov: pinchState.fov * pinchState.distance / Math.max(distance, 1)
+		});
+	};
+	// Panorama.prototype.pinchMove }}}1
+
+	// Panorama.prototype.detectDoubleTap {{{1
+	/**
+	 * Check that released tap is second tap of double tap
+	 * and toggle zoom if it is
+	 *
+	 * @memberOf Panorama
+	 * @param {number} now Current time in milliseconds
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.detectDoubleTap = function (now) {
+		var tapState = this.__getter('tapState');
+		var lastTap = this.__getter('lastTap');
+		this.__setter('tapState', null);
+
+		if (!tapState || tapState.moved || now - tapState.time >= 300) return;
+
+		if (
+			lastTap && now - lastTap.time < 300 &&
+			Math.abs(tapState.pageX - lastTap.pageX) < 30 &&
+			Math.abs(tapState.pageY - lastTap.pageY) < 30
+		) {
+			this.__setter('lastTap', null);
+			this.toggleZoom();
+		} else {
+			this.__setter('lastTap', {
+				pageX: tapState.pageX,
+				pageY: tapState.pageY,
+				time: now
+			});
+		}
+	};
+	// Panorama.prototype.detectDoubleTap }}}1
+
+	// Panorama.prototype.toggleZoom {{{1
+	/**
+	 * Smoothly zoom in to maximum or zoom out to minimum (by double tap)
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {jQuery.Promise} See "animateTo"
+	 */
+	Panorama.prototype.toggleZoom = function () {
+		return this.animateTo({
+			zoom: (this.getView().zoom < 50) ? 100 : 0
+		}, { duration: 300 });
+	};
+	// Panorama.prototype.toggleZoom }}}1
+
+	// Panorama.prototype.getView {{{1
+	/**
+	 * @typedef Panorama~view
+	 * @type {Object.<float>}
+	 * @prop {float} lon Longitude of camera direction (in degrees)
+	 * @prop {float} lat Latitude of camera direction (in degrees)
+	 * @prop {float} fov Field of view of camera (in degrees)
+	 * @prop {float} zoom Percent of zoom (0 is "maxFov", 100 is "minFov")
+	 */
+	/**
+	 * Get current view of camera
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {Panorama~view}
+	 */
+	Panorama.prototype.getView = function () {
+		var fov = this.__getter('camera').fov;
+		var limits = this.getFovLimits();
+		var range = limits.maxFov - limits.minFov;
+
+		return {
+			lon: this.__getter('lon'),
+			lat: this.__getter('lat'),
+			fov: fov,
+			zoom: (range > 0) ? (limits.maxFov - fov) * 100 / range : 0 // zooming is locked
+		};
+	};
+	// Panorama.prototype.getView }}}1
+
+	// Panorama.prototype.setView {{{1
+	/**
+	 * Set view of camera immediately (stops animation of camera).
+	 * All keys of view are optional, "fov" has priority over "zoom".
+	 *
+	 * @memberOf Panorama
+	 * @param {Panorama~view} view
+	 * @public
+	 * @static
+	 * @exception {Panorama~IncorrectArgument}
+	 * @returns {Panorama} Instance of Panorama (for chaining)
+	 */
+	Panorama.prototype.setView = function (view) {
+		this.stopAnimation();
+		this.__setter('inertia', null);
+		this.applyView(view);
+		return this;
+	};
+	// Panorama.prototype.setView }}}1
+
+	// Panorama.prototype.applyView {{{1
+	/**
+	 * Set view of camera (helper of "setView" and "animateTo")
+	 *
+	 * @memberOf Panorama
+	 * @param {Panorama~view} view
+	 * @protected
+	 * @static
+	 * @exception {Panorama~IncorrectArgument}
+	 */
+	Panorama.prototype.applyView = function (view) {
+		if (!$.isPlainObject(view) || !['lon', 'lat', 'fov', 'zoom'].every(function (key) {
+			return !(key in view) || $.type(view[key]) === 'number';
+		})) {
+			throw new this.exceptions.IncorrectArgument('Incorrect view');
+		}
+
+		// before limits that depends on fov
+		if ('fov' in view) {
+			var camera = this.__getter('camera');
+			var fovLimits = this.getFovLimits();
+			camera.fov = Math.max(fovLimits.minFov, Math.min(fovLimits.maxFov, view.fov));
+			camera.updateProjectionMatrix();
+		} else if ('zoom' in view) {
+			this.zoom(view.zoom);
+		}
+
+		var lat = ('lat' in view) ? view.lat : this.__getter('lat');
+		var limited = clampToLimits(
+			('lon' in view) ? view.lon : this.__getter('lon'),
+			lat,
+			this.getLimits(lat)
+		);
+
+		this.__setter('lon', limited.lon);
+		this.__setter('lat', limited.lat);
+		this.__setter('elasticView', null);
+		this.__setter('springBack', false);
+		this.invalidate();
+	};
+	// Panorama.prototype.applyView }}}1
+
+	// Panorama.prototype.getLimits {{{1
+	/**
+	 * @typedef Panorama~limits
+	 * @type {Object.<float|Null>}
+	 * @prop {float} minLat Minimal latitude of camera
+	 * @prop {float} maxLat Maximum latitude of camera
+	 * @prop {float|Null} centerLon Center of longitude range (null if longitude is not limited)
+	 * @prop {float|Null} halfLon Maximum difference of longitude of camera from "centerLon"
+	 */
+	/**
+	 * Limits of camera direction by parameters and current fov
+	 *
+	 * @memberOf Panorama
+	 * @param {float} [lat] Latitude of camera that longitude limits are calculated for
+	 * (current latitude by default)
+	 * @protected
+	 * @static
+	 * @returns {Panorama~limits}
+	 */
+	Panorama.prototype.getLimits = function (lat) {
+		var camera = this.__getter('camera');
+		var halfFov = camera.fov / 2;
+		var limits = { minLat: -85.0, maxLat: 85.0, centerLon: null, halfLon: null };
+
+		if (this.params.minLat !== null) {
+			limits.minLat = Math.max(limits.minLat, this.params.minLat + halfFov);
+		}
+		if (this.params.maxLat !== null) {
+			limits.maxLat = Math.min(limits.maxLat, this.params.maxLat - halfFov);
+		}
+
+		// fov is greater than image
+		if (limits.minLat > limits.maxLat) {
+			limits.minLat = limits.maxLat = (limits.minLat + limits.maxLat) / 2;
+		}
+
+		if (this.params.minLon !== null) {
+			// by same mapping of angles as projection shader
+			var quarterFov = THREE.Math.degToRad(halfFov / 2);
+			var halfHorizontalFov = THREE.Math.radToDeg({
+				rectilinear: function () {
+					return Math.atan(Math.tan(2 * quarterFov) * camera.aspect);
+				},
+				stereographic: function () {
+					return 2 * Math.atan(Math.tan(quarterFov) * camera.aspect);
+				},
+				fisheye: function () {
+					return 2 * Math.asin(Math.min(1, Math.sin(quarterFov) * camera.aspect));
+				}
+			}[this.__getter('projection')]());
+
+			// frame is wider by longitude at its edge that is closer to pole
+			// (by 85 degrees at most, as camera)
+			if (lat === undefined) lat = this.__getter('lat');
+			lat = Math.max(limits.minLat, Math.min(limits.maxLat, lat));
+			var edgeLat = THREE.Math.degToRad(Math.min(85.0, Math.abs(lat) + halfFov));
+			var halfEdgeLon = Math.min(180.0, halfHorizontalFov / Math.cos(edgeLat));
+
+			limits.centerLon = (this.params.minLon + this.params.maxLon) / 2;
+			limits.halfLon = Math.max(0,
+				(this.params.maxLon - this.params.minLon) / 2 - halfEdgeLon);
+		}
+
+		return limits;
+	};
+	// Panorama.prototype.getLimits }}}1
+
+	// Panorama.prototype.applyLimits {{{1
+	/**
+	 * Keep camera inside of limits (on each frame).
+	 * Camera that is dragged over edges is drawn with elastic overshoot
+	 * and is returned back after release.
+	 *
+	 * @memberOf Panorama
+	 * @param {number} delta Time in milliseconds from previous frame
+	 * @protected
+	 * @static
+	 * @returns {Object.<float>} Longitude and latitude that must be drawn
+	 */
+	Panorama.prototype.applyLimits = function (delta) {
+		var elasticity = this.params.elasticity;
+		var lon = this.__getter('lon');
+		var lat = this.__getter('lat');
+		var limited = clampToLimits(lon, lat, this.getLimits());
+		var overLon = wrapAngle(lon - limited.lon);
+		var overLat = lat - limited.lat;
+
+		function elastic(over) {
+			if (!elasticity) return 0;
+			return ((over < 0) ? -1 : 1) * elasticity *
+				(1 - 1 / (1 + Math.abs(over) / elasticity));
+		}
+
+		if (overLon === 0 && overLat === 0) {
+			this.__setter('elasticView', null);
+			this.__setter('springBack', false);
+			return { lon: lon, lat: lat };
+		}
+
+		// dragged over edges (position of user pointer is kept)
+		if (this.__getter('holdByUser')) {
+			var view = {
+				lon: limited.lon + elastic(overLon),
+				lat: Math.max(-89.0, Math.min(89.0, limited.lat + elastic(overLat)))
+			};
+			this.__setter('elasticView', view);
+			return view;
+		}
+
+		// released, continue returning from drawn position
+		var elasticView = this.__getter('elasticView');
+		if (elasticView) {
+			this.__setter('elasticView', null);
+			overLon = wrapAngle(elasticView.lon - limited.lon);
+			overLat = elasticView.lat - limited.lat;
+		}
+
+		this.__setter('inertia', null);
+
+		var decay = Math.exp(-delta / 100);
+		overLon *= decay;
+		overLat *= decay;
+
+		if (Math.abs(overLon) < 0.01 && Math.abs(overLat) < 0.01) {
+			overLon = overLat = 0;
+		}
+		this.__setter('springBack', overLon !== 0 || overLat !== 0);
+
+		this.__setter('lon', ((limited.lon + overLon) % 360.0 + 360.0) % 360.0);
+		this.__setter('lat', limited.lat + overLat);
+
+		return { lon: this.__getter('lon'), lat: this.__getter('lat') };
+	};
+	// Panorama.prototype.applyLimits }}}1
+
+	// Panorama.prototype.resetView {{{1
+	/**
+	 * Set view of camera that was at start
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {Panorama} Instance of Panorama (for chaining)
+	 */
+	Panorama.prototype.resetView = function () {
+		return this.setView(this.__getter('homeView'));
+	};
+	// Panorama.prototype.resetView }}}1
+
+	// Panorama.prototype.announceView {{{1
+	/**
+	 * Announce current heading for screen readers (delayed, by "ariaHeadingMask")
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.announceView = function () {
+		var self = this;
+
+		clearTimeout(this.__getter('announceTimer'));
+		this.__setter('announceTimer', setTimeout(function () {
+			if (self.destroyed) return;
+
+			self.__setter('announceTimer', null);
+
+			var view = self.getView();
+			self.__getter('$liveRegion').text(
+				self.params.ariaHeadingMask
+					.replace(/#HEADING#/g, Math.round(view.lon) % 360)
+					.replace(/#PITCH#/g, Math.round(view.lat))
+			);
+		}, 500));
+	};
+	// Panorama.prototype.announceView }}}1
+
+	// Panorama.parseView {{{1
+	/**
+	 * @typedef Panorama~serializedView
+	 * @type {Object.<*>}
+	 * @prop {float} lon Longitude
+	 * @prop {float} lat Latitude
+	 * @prop {float} [zoom] Percent of zoom
+	 * @prop {string} [scene] Code of scene
+	 */
+	/**
+	 * Parse view that is serialized by {@link Panorama#serializeView}
+	 *
+	 * @memberOf Panorama
+	 * @param {string} string Serialized view
+	 * @public
+	 * @static
+	 * @returns {Panorama~serializedView|Null} null if string is not a serialized view
+	 */
+	Panorama.parseView = function (string) {
+		if ($.type(string) !== 'string') return null;
+
+		var view = {};
+
+		$.each(string.split(';'), function (i, part) {
+			var pos = part.indexOf(':');
+			if (pos < 0) return;
+
+			var key = part.slice(0, pos);
+			var value = part.slice(pos + 1);
+
+			if (key === 'scene') {
+				try {
+					view.scene = decodeURIComponent(value);
+				} catch (err) {} // malformed URI sequence
+			} else if ($.inArray(key, ['lon', 'lat', 'zoom']) > -1 && value !== '' && isFinite(value)) {
+				view[key] = parseFloat(value);
+			}
+		});
+
+		if (!('lon' in view) || !('lat' in view)) return null;
+
+		return view;
+	};
+	// Panorama.parseView }}}1
+
+	// Panorama.prototype.serializeView {{{1
+	/**
+	 * Serialize current view to string (for URL, localStorage, etc.),
+	 * for example "lon:90;lat:12.5;zoom:40;scene:hall"
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {string}
+	 */
+	Panorama.prototype.serializeView = function () {
+		var view = this.getView();
+		var scene = this.params.sceneCode || this.params.panoramaCode;
+
+		function round(value) {
+			return String(parseFloat(value.toFixed(2)));
+		}
+
+		return 'lon:' + round(view.lon) +
+			';lat:' + round(view.lat) +
+			';zoom:' + round(view.zoom) +
+			((scene) ? ';scene:' + encodeURIComponent(scene) : '');
+	};
+	// Panorama.prototype.serializeView }}}1
+
+	// Panorama.prototype.restoreView {{{1
+	/**
+	 * Set view that is serialized by {@link Panorama#serializeView}.
+	 * View of another scene is not applied.
+	 *
+	 * @memberOf Panorama
+	 * @param {string} string Serialized view
+	 * @public
+	 * @static
+	 * @returns {Panorama~serializedView|Null} Applied view or null
+	 * if string is not a serialized view of this scene
+	 */
+	Panorama.prototype.restoreView = function (string) {
+		var view = Panorama.parseView(string);
+		if (!view) return null;
+
+		var scene = this.params.sceneCode || this.params.panoramaCode;
+		if ('scene' in view && view.scene !== scene) return null;
+
+		var newView = { lon: view.lon, lat: view.lat };
+		if ('zoom' in view) newView.zoom = view.zoom;
+		this.setView(newView);
+
+		return view;
+	};
+	// Panorama.prototype.restoreView }}}1
+
+	// Panorama.prototype.scheduleUrlUpdate {{{1
+	/**
+	 * Update location hash by current view with delay
+	 * (not more often than "syncUrlDelay")
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.scheduleUrlUpdate = function () {
+		var self = this;
+		if (this.__getter('urlTimer') !== null) return;
+
+		this.__setter('urlTimer', setTimeout(function () {
+			if (self.destroyed) return;
+
+			self.__setter('urlTimer', null);
+			self.updateUrl();
+		}, this.params.syncUrlDelay));
+	};
+	// Panorama.prototype.scheduleUrlUpdate }}}1
+
+	// Panorama.prototype.updateUrl {{{1
+	/**
+	 * Write current view to location hash immediately
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.updateUrl = function () {
+		var value = this.serializeView();
+		if (value === getHashParam(this.params.syncUrlKey)) return;
+
+		this.__setter('urlValue', value);
+		setHashParam(this.params.syncUrlKey, value);
+	};
+	// Panorama.prototype.updateUrl }}}1
+
+	// Panorama.prototype.animateTo {{{1
+	/**
+	 * @typedef Panorama~animateToOptions
+	 * @type {Object.<*>}
+	 * @prop {number} [duration=1000] Duration of animation in milliseconds
+	 * @prop {string|function} [easing='swing'] Name of jQuery easing or easing function
+	 * (takes progress from 0 to 1 and returns eased progress)
+	 */
+	/**
+	 * @callback Panorama~animateToCallback
+	 * @param {Error|Null} err {@link Panorama~AnimationInterrupted} or null if animation is finished
+	 * @this {Panorama} Instance of Panorama
+	 */
+	/**
+	 * Smoothly move camera to view.
+	 * Animation is interrupted by user (mouse or touch), by "setView",
+	 * by next "animateTo" or by "stopAnimation".
+	 * Longitude is changed by shortest way.
+	 *
+	 * @memberOf Panorama
+	 * @param {Panorama~view} view Target view (all keys are optional)
+	 * @param {Panorama~animateToOptions} [options]
+	 * @param {Panorama~animateToCallback} [callback] Callback after animation is finished or interrupted
+	 * @public
+	 * @static
+	 * @exception {Panorama~IncorrectArgument}
+	 * @returns {jQuery.Promise} Resolved with {@link Panorama~view} when finished,
+	 * rejected with {@link Panorama~AnimationInterrupted}
+	 */
+	Panorama.prototype.animateTo = function (view/*[, options][, callback]*/) {
+		var self = this;
+		var options = {};
+		var callback = null;
+
+		Array.prototype.slice.call(arguments, 1).forEach(function (arg) {
+			if ($.isPlainObject(arg)) {
+				options = arg;
+			} else if ($.type(arg) === 'function') {
+				callback = arg;
+			} else if (arg !== undefined) {
+				throw new self.exceptions.IncorrectArgument(
+					'Incorrect argument of Panorama.animateTo'
+				);
+			}
+		});
+
+		options = $.extend({
+			duration: 1000,
+			easing: 'swing'
+		}, options);
+
+		var easingFunction = null;
+		if ($.type(options.easing) === 'function') {
+			easingFunction = options.easing;
+		} else if (!(options.easing in $.easing)) {
+			throw new this.exceptions.IncorrectArgument(
+				'Unknown easing: "' + options.easing + '"'
+			);
+		}
+
+		this.stopAnimation();
+		this.__setter('inertia', null);
+
+		var start = this.getView();
+		this.applyView(view); // validate and calculate target values
+		var target = this.getView();
+		this.applyView(start);
+
+		var centerLon = this.getLimits().centerLon;
+		if (centerLon === null) {
+			// shortest way
+			target.lon = start.lon + wrapAngle(target.lon - start.lon);
+		} else {
+			// way that is inside of longitude limits
+			target.lon = start.lon +
+				wrapAngle(target.lon - centerLon) - wrapAngle(start.lon - centerLon);
+		}
+
+		var state = {
+			$animation: $({ progress: 0 }),
+			deferred: $.Deferred(),
+			callback: callback
+		};
+		this.__setter('viewAnimation', state);
+
+		state.$animation.animate({ progress: 1 }, {
+			duration: options.duration,
+			easing: easingFunction ? 'linear' : options.easing,
+			step: function (now) {
+				if (easingFunction) now = easingFunction(now);
+
+				self.applyView({
+					lon: start.lon + (target.lon - start.lon) * now,
+					lat: start.lat + (target.lat - start.lat) * now,
+					fov: start.fov + (target.fov - start.fov) * now
+				});
+			},
+			complete: function () {
+				self.__setter('viewAnimation', null);
+				self.applyView(target);
+
+				state.deferred.resolveWith(self, [self.getView()]);
+				if (state.callback) state.callback.call(self, null);
+			}
+		});
+
+		return state.deferred.promise();
+	};
+	// Panorama.prototype.animateTo }}}1
+
+	// Panorama.prototype.stopAnimation {{{1
+	/**
+	 * Stop animation of camera (started by "animateTo")
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {boolean} false if there was no animation
+	 */
+	Panorama.prototype.stopAnimation = function () {
+		var state = this.__getter('viewAnimation');
+		if (!state) return false;
+
+		this.__setter('viewAnimation', null);
+		state.$animation.stop(true, false);
+
+		var err = new this.exceptions.AnimationInterrupted();
+		state.deferred.rejectWith(this, [err]);
+		if (state.callback) state.callback.call(this, err);
+
+		return true;
+	};
+	// Panorama.prototype.stopAnimation }}}1
+
+	// Panorama.prototype.startAutoRotate {{{1
+	/**
+	 * Turn on auto-rotation of camera
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 */
+	Panorama.prototype.startAutoRotate = function () {
+		var changed = !this.__getter('autoRotating');
+
+		this.__setter('autoRotating', true);
+		this.__setter('interactionEndTime', 0); // without "resumeDelay"
+		this.invalidate();
+
+		if (changed) {
+			this.updateControls();
+			this.emit('autorotatechange', { autoRotating: true });
+		}
+	};
+	// Panorama.prototype.startAutoRotate }}}1
+
+	// Panorama.prototype.stopAutoRotate {{{1
+	/**
+	 * Turn off auto-rotation of camera
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 */
+	Panorama.prototype.stopAutoRotate = function () {
+		if (!this.__getter('autoRotating')) return;
+
+		this.__setter('autoRotating', false);
+
+		this.updateControls();
+		this.emit('autorotatechange', { autoRotating: false });
+	};
+	// Panorama.prototype.stopAutoRotate }}}1
+
+	// Panorama.prototype.isAutoRotating {{{1
+	/**
+	 * Auto-rotation is turned on
+	 * (camera could be not rotating now because user holds it)
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {boolean}
+	 */
+	Panorama.prototype.isAutoRotating = function () {
+		return this.__getter('autoRotating');
+	};
+	// Panorama.prototype.isAutoRotating }}}1
+
+	// Panorama.prototype.isAutoRotationActive {{{1
+	/**
+	 * Camera must be rotated at this moment
+	 *
+	 * @memberOf Panorama
+	 * @param {number} now Current time in milliseconds
+	 * @protected
+	 * @static
+	 * @returns {boolean}
+	 */
+	Panorama.prototype.isAutoRotationActive = function (now) {
+		return this.__getter('autoRotating') &&
+			this.__getter('holdByUser') === false &&
+			!this.__getter('viewAnimation') &&
+			!this.__getter('inertia') &&
+			!this.__getter('orientationEnabled') &&
+			now - this.__getter('interactionEndTime') >= this.params.autoRotate.resumeDelay;
+	};
+	// Panorama.prototype.isAutoRotationActive }}}1
+
+	// Panorama.orientationToLonLat {{{1
+	/**
+	 * @typedef Panorama~orientationDirection
+	 * @type {Object.<float>}
+	 * @prop {float} lon Longitude in degrees (from 0 to 360)
+	 * @prop {float} lat Latitude in degrees (from -90 to 90)
+	 */
+	/**
+	 * Convert orientation of device to direction of camera
+	 * (camera looks out of back side of device).
+	 * Longitude is relative to compass heading of "alpha" = 0.
+	 *
+	 * @memberOf Panorama
+	 * @param {float} alpha "alpha" of "deviceorientation" event in degrees
+	 * @param {float} beta "beta" of "deviceorientation" event in degrees
+	 * @param {float} gamma "gamma" of "deviceorientation" event in degrees
+	 * @param {float} [screenOrientation=0] Angle of screen orientation in degrees
+	 * @public
+	 * @static
+	 * @returns {Panorama~orientationDirection}
+	 */
+	Panorama.orientationToLonLat = function (alpha, beta, gamma, screenOrientation) {
+		var quaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+			THREE.Math.degToRad(beta || 0),
+			THREE.Math.degToRad(alpha || 0),
+			-THREE.Math.degToRad(gamma || 0),
+			'YXZ'
+		));
+
+		// camera looks out of back side of device, not out of top
+		quaternion.multiply(new THREE.Quaternion(-Math.SQRT1_2, 0, 0, Math.SQRT1_2));
+
+		// adjust for screen orientation
+		quaternion.multiply(new THREE.Quaternion().setFromAxisAngle(
+			new THREE.Vector3(0, 0, 1),
+			-THREE.Math.degToRad(screenOrientation || 0)
+		));
+
+		var direction = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
+		var up = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+
+		var lat = Math.asin(Math.max(-1, Math.min(1, direction.y)));
+
+		// horizontal forward direction (by up side of screen when device
+		// is looking straight up or down and direction has no heading)
+		var x = direction.x * Math.cos(lat) - up.x * Math.sin(lat);
+		var z = direction.z * Math.cos(lat) - up.z * Math.sin(lat);
+
+		return {
+			lon: ((THREE.Math.radToDeg(Math.atan2(z, x)) % 360.0) + 360.0) % 360.0,
+			lat: THREE.Math.radToDeg(lat)
+		};
+	};
+	// Panorama.orientationToLonLat }}}1
+
+	// Panorama.prototype.enableDeviceOrientation {{{1
+	/**
+	 * @callback Panorama~deviceOrientationCallback
+	 * @param {Error|Null} err {@link Panorama~DeviceOrientationPermissionDenied},
+	 * {@link Panorama~DeviceOrientationUnavailable} or null if mode is enabled
+	 * @this {Panorama} Instance of Panorama
+	 */
+	/**
+	 * Enable device orientation mode (camera follows turning of device).
+	 * Dragging still works and moves camera relative to device direction.
+	 * Auto-rotation and inertia is disabled while this mode is enabled.
+	 * On iOS it must be called by user gesture (for permission request).
+	 * Error is also emitted as "deviceorientationerror" event.
+	 *
+	 * @memberOf Panorama
+	 * @param {Panorama~deviceOrientationCallback} [callback]
+	 * @public
+	 * @static
+	 * @returns {jQuery.Promise} Resolved when first data from sensor is received,
+	 * rejected with {@link Panorama~DeviceOrientationPermissionDenied}
+	 * or {@link Panorama~DeviceOrientationUnavailable}
+	 */
+	Panorama.prototype.enableDeviceOrientation = function (callback) {
+		var self = this;
+		var deferred = this.__getter('orientationDeferred');
+
+		if (!deferred) {
+			deferred = $.Deferred();
+
+			if (this.__getter('orientationEnabled')) {
+				deferred.resolveWith(this, [this]);
+			} else {
+				this.__setter('orientationDeferred', deferred);
+				this.requestDeviceOrientation();
+			}
+		}
+
+		if (callback) {
+			deferred.then(function () {
+				callback.call(self, null);
+			}, function (err) {
+				callback.call(self, err);
+			});
+		}
+
+		return deferred.promise();
+	};
+	// Panorama.prototype.enableDeviceOrientation }}}1
+
+	// Panorama.prototype.requestDeviceOrientation {{{1
+	/**
+	 * Request permission (if it is required) and start listening of sensor
+	 * for pending enabling of device orientation mode
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.requestDeviceOrientation = function () {
+		var self = this;
+
+		function fail(err) {
+			if (self.destroyed) return;
+			self.failDeviceOrientation(err);
+		}
+
+		function listen() {
+			if (self.destroyed) return;
+			if (!self.__getter('orientationDeferred')) return; // canceled
+
+			$(window).bind(
+				'deviceorientation.' + self.panoramaId,
+				function (event) {
+					self.handlers.deviceOrientationHandler.call(this, event, self);
+				}
+			);
+
+			self.__setter('orientationTimer', setTimeout(function () {
+				fail(new self.exceptions.DeviceOrientationUnavailable());
+			}, self.params.deviceOrientation.timeout));
+		}
+
+		if (!window.DeviceOrientationEvent) {
+			setTimeout(function () { // async
+				fail(new self.exceptions.DeviceOrientationUnavailable());
+			}, 1);
+			return;
+		}
+
+		// iOS 13+
+		if ($.type(window.DeviceOrientationEvent.requestPermission) === 'function') {
+			window.DeviceOrientationEvent.requestPermission().then(function (state) {
+				if (state === 'granted') {
+					listen();
+				} else {
+					fail(new self.exceptions.DeviceOrientationPermissionDenied());
+				}
+			}, function () { // also if it is not called by user gesture
+				fail(new self.exceptions.DeviceOrientationPermissionDenied());
+			});
+			return;
+		}
+
+		listen();
+	};
+	// Panorama.prototype.requestDeviceOrientation }}}1
+
+	// Panorama.prototype.failDeviceOrientation {{{1
+	/**
+	 * Reject pending enabling of device orientation mode
+	 *
+	 * @memberOf Panorama
+	 * @param {Error} err Exception
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.failDeviceOrientation = function (err) {
+		var deferred = this.__getter('orientationDeferred');
+		if (!deferred) return;
+
+		this.__setter('orientationDeferred', null);
+		this.disableDeviceOrientation();
+
+		this.emit('deviceorientationerror', err);
+		deferred.rejectWith(this, [err]);
+	};
+	// Panorama.prototype.failDeviceOrientation }}}1
+
+	// Panorama.prototype.setDeviceOrientation {{{1
+	/**
+	 * Set current orientation of device (from "deviceorientation" event)
+	 *
+	 * @memberOf Panorama
+	 * @param {float|Null} alpha
+	 * @param {float|Null} beta
+	 * @param {float|Null} gamma
+	 * @param {float} [screenOrientation=0]
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.setDeviceOrientation = function (alpha, beta, gamma, screenOrientation) {
+		var deferred = this.__getter('orientationDeferred');
+
+		// browser supports event but device has no sensor
+		if (alpha === null && beta === null && gamma === null) {
+			this.failDeviceOrientation(
+				new this.exceptions.DeviceOrientationUnavailable()
+			);
+			return;
+		}
+
+		var orientation = Panorama.orientationToLonLat(
+			alpha, beta, gamma, screenOrientation
+		);
+		this.__setter('orientation', orientation);
+		this.invalidate();
+
+		if (deferred) {
+			clearTimeout(this.__getter('orientationTimer'));
+			this.__setter('orientationTimer', null);
+			this.__setter('orientationDeferred', null);
+			this.__setter('orientationEnabled', true);
+			this.__setter('inertia', null);
+			this.updateControls();
+
+			// no jump of camera by longitude, latitude is real
+			this.__setter('orientationOffset', {
+				lon: this.__getter('lon') - orientation.lon,
+				lat: 0
+			});
+			this.__setter('orientationApplied', null);
+
+			deferred.resolveWith(this, [this]);
+		}
+	};
+	// Panorama.prototype.setDeviceOrientation }}}1
+
+	// Panorama.prototype.applyDeviceOrientation {{{1
+	/**
+	 * Move camera by device orientation (on each frame)
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.applyDeviceOrientation = function () {
+		var orientation = this.__getter('orientation');
+		if (!this.__getter('orientationEnabled') || !orientation) return;
+
+		var offset = this.__getter('orientationOffset');
+		var applied = this.__getter('orientationApplied');
+
+		// camera is moved by user (or by "setView", "animateTo", etc.)
+		// since previous frame, it is added to offset
+		if (applied) {
+			offset.lon += (((this.__getter('lon') - applied.lon) % 360.0) + 540.0) % 360.0 - 180.0;
+			offset.lat += this.__getter('lat') - applied.lat;
+		}
+
+		var limited = clampToLimits(
+			orientation.lon + offset.lon,
+			orientation.lat + offset.lat,
+			this.getLimits(orientation.lat + offset.lat)
+		);
+		var lon = ((limited.lon % 360.0) + 360.0) % 360.0;
+		var lat = limited.lat;
+
+		this.__setter('lon', lon);
+		this.__setter('lat', lat);
+		this.__setter('orientationApplied', { lon: lon, lat: lat });
+	};
+	// Panorama.prototype.applyDeviceOrientation }}}1
+
+	// Panorama.prototype.disableDeviceOrientation {{{1
+	/**
+	 * Disable device orientation mode (camera keeps current direction).
+	 * Pending enabling is rejected with {@link Panorama~DeviceOrientationUnavailable}.
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 */
+	Panorama.prototype.disableDeviceOrientation = function () {
+		var deferred = this.__getter('orientationDeferred');
+
+		$(window).unbind('deviceorientation.' + this.panoramaId);
+		clearTimeout(this.__getter('orientationTimer'));
+
+		this.__setter('orientationTimer', null);
+		this.__setter('orientationDeferred', null);
+		this.__setter('orientationEnabled', false);
+		this.__setter('orientation', null);
+		this.__setter('orientationOffset', null);
+		this.__setter('orientationApplied', null);
+		this.updateControls();
+
+		if (deferred) {
+			deferred.rejectWith(this, [new this.exceptions.DeviceOrientationUnavailable(
+				'Enabling of device orientation mode is canceled'
+			)]);
+		}
+	};
+	// Panorama.prototype.disableDeviceOrientation }}}1
+
+	// Panorama.prototype.toggleDeviceOrientation {{{1
+	/**
+	 * Enable device orientation mode if it is disabled or disable it
+	 *
+	 * @memberOf Panorama
+	 * @param {Panorama~deviceOrientationCallback} [callback] Callback of enabling
+	 * @public
+	 * @static
+	 * @returns {jQuery.Promise|Null} Promise of enabling or null if mode is disabled
+	 */
+	Panorama.prototype.toggleDeviceOrientation = function (callback) {
+		if (this.isDeviceOrientationEnabled() || this.__getter('orientationDeferred')) {
+			this.disableDeviceOrientation();
+			return null;
+		}
+
+		return this.enableDeviceOrientation(callback);
+	};
+	// Panorama.prototype.toggleDeviceOrientation }}}1
+
+	// Panorama.prototype.isDeviceOrientationEnabled {{{1
+	/**
+	 * Device orientation mode is enabled
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {boolean}
+	 */
+	Panorama.prototype.isDeviceOrientationEnabled = function () {
+		return this.__getter('orientationEnabled');
+	};
+	// Panorama.prototype.isDeviceOrientationEnabled }}}1
+
+	// Panorama.prototype.animationLoop {{{1
+	/**
+	 * Start animation loop.
+	 * Frame is drawn (not more often than "fpsLimit") only when it is changed
+	 * (see {@link Panorama#invalidate}) or camera is in motion.
+	 * Loop is suspended while it is paused, page is hidden
+	 * or container is out of viewport.
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 */
+	Panorama.prototype.animationLoop = function () {
+		this.__setter('loopActive', true);
+		this.invalidate();
+	};
+	// Panorama.prototype.animationLoop }}}1
+
+	// Panorama.prototype.updateLoop {{{1
+	/**
+	 * Request next frame of animation loop if loop is active
+	 * and is not suspended.
+	 * Loop stops when frame is not changed and camera is not in motion,
+	 * it is restarted by {@link Panorama#invalidate}.
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.updateLoop = function () {
+		var self = this;
+
+		if (!this.__getter('loopActive')) return;
+
+		if (this.isSuspended()) {
+			this.releaseRenderer();
+			return;
+		}
+
+		this.acquireRenderer(); // requests frame by itself if renderer was released
+		if (this.__getter('frameRequest') !== null) return;
+
+		this.__setter('frameRequest', requestAnimationFrame(function (time) {
+			if (self.destroyed) return;
+
+			self.__setter('frameRequest', null);
+			if (self.isSuspended()) {
+				self.releaseRenderer();
+				return;
+			}
+
+			if (self.needsDraw()) {
+				if (time - self.lastAnimationUpdate >= 1000 / self.params.fpsLimit) {
+					self.draw();
+					self.lastAnimationUpdate = time;
+				}
+			}
+
+			var size = self.__getter('containerSize');
+
+			// auto-rotation could be resumed after "resumeDelay",
+			// drawing of container without size is restarted by resizing
+			if (
+				(self.needsDraw() || self.__getter('autoRotating')) &&
+				size.width > 0 && size.height > 0
+			) {
+				self.updateLoop();
+			} else {
+				// no time step of motion after idle
+				self.__setter('lastDrawTime', null);
+			}
+		}));
+	};
+	// Panorama.prototype.updateLoop }}}1
+
+	// Panorama.prototype.needsDraw {{{1
+	/**
+	 * Frame is changed or camera is in motion
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 * @returns {boolean}
+	 */
+	Panorama.prototype.needsDraw = function () {
+		var lastView = this.__getter('lastView');
+
+		return this.__getter('dirty') ||
+			this.isInMotion((new Date()).getTime()) ||
+			// changed directly by handlers, "setView", etc.
+			!lastView ||
+			lastView.lon !== this.__getter('lon') ||
+			lastView.lat !== this.__getter('lat') ||
+			lastView.fov !== this.__getter('camera').fov;
+	};
+	// Panorama.prototype.needsDraw }}}1
+
+	// Panorama.prototype.isInMotion {{{1
+	/**
+	 * Camera is moving by itself
+	 * (auto-rotation, inertia, animation, transition of projection
+	 * or returning inside of limits)
+	 *
+	 * @memberOf Panorama
+	 * @param {number} now Current time in milliseconds
+	 * @protected
+	 * @static
+	 * @returns {boolean}
+	 */
+	Panorama.prototype.isInMotion = function (now) {
+		return this.isAutoRotationActive(now) ||
+			!!this.__getter('inertia') ||
+			!!this.__getter('viewAnimation') ||
+			!!this.__getter('projectionTransition') ||
+			!!this.__getter('elasticView') ||
+			this.__getter('springBack');
+	};
+	// Panorama.prototype.isInMotion }}}1
+
+	// Panorama.prototype.invalidate {{{1
+	/**
+	 * Mark frame as changed and restart animation loop if it is stopped
+	 * (frame will be drawn by animation loop).
+	 * Changes of view, size and textures is detected automatically,
+	 * it is for changes of the scene from outside.
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 */
+	Panorama.prototype.invalidate = function () {
+		this.__setter('dirty', true);
+		this.updateLoop();
+	};
+	// Panorama.prototype.invalidate }}}1
+
+	// Panorama.prototype.pause {{{1
+	/**
+	 * Pause animation loop (nothing is drawn until "resume")
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 */
+	Panorama.prototype.pause = function () {
+		this.__setter('paused', true);
+
+		var frameRequest = this.__getter('frameRequest');
+		if (frameRequest !== null) {
+			cancelAnimationFrame(frameRequest);
+			this.__setter('frameRequest', null);
+		}
+
+		this.releaseRenderer();
+	};
+	// Panorama.prototype.pause }}}1
+
+	// Panorama.prototype.resume {{{1
+	/**
+	 * Resume animation loop that is paused by "pause"
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 */
+	Panorama.prototype.resume = function () {
+		this.__setter('paused', false);
+		this.invalidate(); // view could be changed while loop is paused
+	};
+	// Panorama.prototype.resume }}}1
+
+	// Panorama.prototype.isPaused {{{1
+	/**
+	 * Animation loop is paused by "pause"
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {boolean}
+	 */
+	Panorama.prototype.isPaused = function () {
+		return this.__getter('paused');
+	};
+	// Panorama.prototype.isPaused }}}1
+
+	// Panorama.prototype.isSuspended {{{1
+	/**
+	 * Animation loop is paused or page is hidden or container is out of viewport
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 * @returns {boolean}
+	 */
+	Panorama.prototype.isSuspended = function () {
+		return this.__getter('paused') ||
+			this.__getter('hidden') ||
+			this.__getter('offscreen');
+	};
+	// Panorama.prototype.isSuspended }}}1
+
+	// Panorama.prototype.getPixelRatio {{{1
+	/**
+	 * Pixel ratio of renderer by parameters
+	 * ("pixelRatio" or "devicePixelRatio" of window, limited by "maxPixelRatio")
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {float}
+	 */
+	Panorama.prototype.getPixelRatio = function () {
+		var ratio = this.params.pixelRatio || window.devicePixelRatio || 1;
+
+		if (this.params.maxPixelRatio) ratio = Math.min(ratio, this.params.maxPixelRatio);
+
+		return ratio;
+	};
+	// Panorama.prototype.getPixelRatio }}}1
+
+	// Panorama.prototype.setPixelRatio {{{1
+	/**
+	 * Change pixel ratio of renderer
+	 *
+	 * @memberOf Panorama
+	 * @param {float|Null} ratio New value of "pixelRatio" parameter
+	 * (null is "devicePixelRatio" of window)
+	 * @public
+	 * @static
+	 * @exception {Panorama~IncorrectArgument}
+	 */
+	Panorama.prototype.setPixelRatio = function (ratio) {
+		if (ratio !== null && !($.type(ratio) === 'number' && ratio > 0)) {
+			throw new this.exceptions.IncorrectArgument('Incorrect pixel ratio');
+		}
+
+		var renderer = this.__getter('renderer');
+
+		this.params.pixelRatio = ratio;
+
+		// shared renderer gets pixel ratio before each frame
+		if (!this.__getter('canvas')) {
+			if (renderer.setPixelRatio) { // three.js r70+
+				renderer.setPixelRatio(this.getPixelRatio());
+			} else {
+				renderer.devicePixelRatio = this.getPixelRatio();
+			}
+		}
+
+		this.updateRendererSize();
+	};
+	// Panorama.prototype.setPixelRatio }}}1
+
+	// Panorama.prototype.updateRendererSize {{{1
+	/**
+	 * Fit renderer (or own canvas of panorama with shared renderer)
+	 * to size of container
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.updateRendererSize = function () {
+		var size = this.__getter('containerSize');
+		var canvas = this.__getter('canvas');
+
+		if (canvas) {
+			canvas.width = Math.floor(size.width * this.getPixelRatio());
+			canvas.height = Math.floor(size.height * this.getPixelRatio());
+			canvas.style.width = size.width + 'px';
+			canvas.style.height = size.height + 'px';
+		} else {
+			this.__getter('renderer').setSize(size.width, size.height);
+		}
+
+		this.invalidate();
+	};
+	// Panorama.prototype.updateRendererSize }}}1
+
+	// Panorama.prototype.renderFrame {{{1
+	/**
+	 * Render the scene by camera (mono or stereo).
+	 * Shared renderer is fitted to panorama before rendering
+	 * and its image is copied to own canvas of panorama.
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.renderFrame = function () {
+		var renderer = this.__getter('renderer');
+		var canvas = this.__getter('canvas');
+
+		if (canvas) {
+			// renderer is released, frame is drawn after acquiring
+			if (!this.__getter('rendererActive')) {
+				this.invalidate();
+				return;
+			}
+
+			var size = this.__getter('containerSize');
+
+			if (renderer.setPixelRatio) { // three.js r70+
+				renderer.setPixelRatio(this.getPixelRatio());
+			} else {
+				renderer.devicePixelRatio = this.getPixelRatio();
+			}
+			renderer.setSize(size.width, size.height, false);
+		}
+
+		if (this.__getter('stereo')) {
+			this.renderStereo();
+		} else {
+			this.renderProjection();
+		}
+
+		if (canvas) {
+			var context = canvas.getContext('2d');
+			context.clearRect(0, 0, canvas.width, canvas.height);
+			context.drawImage(renderer.domElement, 0, 0, canvas.width, canvas.height);
+		}
+	};
+	// Panorama.prototype.renderFrame }}}1
+
+	// Panorama.prototype.acquireRenderer {{{1
+	/**
+	 * Acquire shared renderer from pool (if it is released)
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.acquireRenderer = function () {
+		if (!this.__getter('canvas') || this.__getter('rendererActive')) return;
+
+		this.__setter('renderer', Panorama.rendererPool.acquire());
+		this.__setter('rendererActive', true);
+
+		// upload textures to context again
+		$.each(sceneMaterials(this.__getter('scene')), function (i, material) {
+			material.needsUpdate = true;
+			if (material.map && material.map.image) material.map.needsUpdate = true;
+		});
+
+		this.invalidate();
+	};
+	// Panorama.prototype.acquireRenderer }}}1
+
+	// Panorama.prototype.releaseRenderer {{{1
+	/**
+	 * Free GPU resources of panorama and release shared renderer to pool
+	 * (last frame stays on own canvas of panorama)
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.releaseRenderer = function () {
+		if (!this.__getter('canvas') || !this.__getter('rendererActive')) return;
+
+		var scene = this.__getter('scene');
+
+		scene.traverse(function (object) {
+			if (object.geometry) object.geometry.dispose();
+		});
+		$.each(sceneMaterials(scene), function (i, material) {
+			if (material.map) material.map.dispose();
+			material.dispose();
+		});
+
+		this.disposeStereoTargets();
+		var pass = this.__getter('distortionPass');
+		if (pass) {
+			pass.material.dispose();
+			this.__setter('distortionPass', null);
+		}
+		this.disposeProjectionPass();
+
+		Panorama.rendererPool.release(this.__getter('renderer'));
+		this.__setter('rendererActive', false);
+	};
+	// Panorama.prototype.releaseRenderer }}}1
+
+	// Panorama.rendererPool {{{1
+	/**
+	 * Pool of WebGL renderers that is shared by panoramas
+	 * with "sharedRenderer" parameter.
+	 * Panoramas is drawn one by one, so one renderer (WebGL context)
+	 * is enough for any count of panoramas.
+	 * Renderer is disposed when it has no users.
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @type {Object.<*>}
+	 * @prop {number} maxContexts Maximum count of renderers (WebGL contexts) of pool,
+	 * panoramas is distributed between them
+	 * @prop {Array.<Object.<*>>} entries Renderers of pool with counts of users
+	 * (readonly)
+	 * @static
+	 */
+	Panorama.rendererPool = {
+		maxContexts: 1,
+		entries: [],
 
-		// this.params {{{1
 		/**
-		 * @typedef Panorama~paramsType
-		 * @type {Object.<*>}
-		 * @prop {string} panoramaCode Specific name of panorama for replacing in imgPathMask
-		 * @prop {string} imgPathMask Mask of path to image file of side of the panorama
-		 * @prop {Array.<string>} [sideNames='right', 'left', 'top', 'bottom', 'back', 'front'] Side names (for imgPathMask)
-		 * @prop {Panorama~sideTextures} [sideTextures=null] Key-value object of absolute paths to side-textures
-		 * @prop {number} [startZoom=0] Percent of zoom at start (0 is "maxFov", 100 is "minFov")
-		 * @prop {number} [minFov=10] Minimal fov value (for zoom)
-		 * @prop {number} [maxFov=75] Maximum fov value (for zoom)
-		 * @prop {float} [fovMouseStep=2.0] Step of zoom by mouse wheel
-		 * @prop {boolean} [mouseWheelRequired=false] Module "jquery.mousewheel" is required
-		 * @prop {number} [fpsLimit=30] Limit frames per second of animation
-		 * @prop {boolean} [onlyWebGL=false] If WebGL is not supported - do not use canvas, make error
+		 * Get renderer for drawing (least used renderer or new one)
+		 *
+		 * @exception {Error} WebGL context cannot be created
+		 * @returns {THREE~WebGLRenderer}
 		 */
+		acquire: function () {
+			var entry = null;
+
+			$.each(this.entries, function (i, item) {
+				if (!entry || item.users < entry.users) entry = item;
+			});
+
+			if (!entry || (entry.users > 0 && this.entries.length < this.maxContexts)) {
+				entry = { renderer: new THREE.WebGLRenderer({ alpha: true }), users: 0 };
+				entry.renderer.setClearColor(0xffffff, 0);
+				this.entries.push(entry);
+			}
+
+			entry.users++;
+			return entry.renderer;
+		},
+
 		/**
-		 * @public
-		 * @instance
-		 * @type {Panorama~paramsType}
-		 * @readOnly
+		 * Return renderer to pool (it is disposed if it has no users)
+		 *
+		 * @param {THREE~WebGLRenderer} renderer
 		 */
-		this.params = $.extend({
+		release: function (renderer) {
+			var self = this;
+
+			$.each(this.entries, function (i, entry) {
+				if (entry.renderer !== renderer) return;
+
+				entry.users--;
+				if (entry.users < 1) {
+					if (renderer.dispose) renderer.dispose();
+					if (renderer.forceContextLoss) renderer.forceContextLoss();
+					self.entries.splice(i, 1);
+				}
+
+				return false;
+			});
+		}
+	};
+	// Panorama.rendererPool }}}1
+
+	// Panorama.prototype.draw {{{1
+	/**
+	 * Draw panorama frame
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 */
+	Panorama.prototype.draw = function () {
+		var now = (new Date()).getTime();
+		var lastDrawTime = this.__getter('lastDrawTime');
+
+		// limited for avoid jumps after pauses of animation loop
+		var delta = (lastDrawTime === null) ? 0 : Math.min(now - lastDrawTime, 100);
+		var size = this.__getter('containerSize');
+
+		// deferred until container gets size (frame stays dirty)
+		if (size.width < 1 || size.height < 1) return;
+
+		this.__setter('lastDrawTime', now);
+		this.__setter('dirty', false);
+
+		this.applyInertia(now, delta);
+
+		if (this.isAutoRotationActive(now)) {
+			var autoRotate = this.params.autoRotate;
+			var direction = ((autoRotate.direction === 'left') ? -1 : 1) *
+				this.__getter('autoRotateSign');
+
+			this.__setter('lon', this.__getter('lon') +
+				direction * autoRotate.speed * delta / 1000);
+
+			// back and forth between edges of longitude limits
+			// (camera stays at center if image is not wider than fov)
+			var limits = this.getLimits();
+			if (limits.centerLon !== null) {
+				var fromCenter = wrapAngle(this.__getter('lon') - limits.centerLon);
+
+				if (
+					limits.halfLon > 0 &&
+					((fromCenter >= limits.halfLon && direction > 0) ||
+					(fromCenter <= -limits.halfLon && direction < 0))
+				) {
+					this.__setter('autoRotateSign', -this.__getter('autoRotateSign'));
+				}
+
+				this.__setter('lon', clampToLimits(
+					this.__getter('lon'), this.__getter('lat'), limits
+				).lon);
+			}
+
+			if (autoRotate.homeLat !== null) {
+				this.__setter('lat', this.__getter('lat') +
+					(autoRotate.homeLat - this.__getter('lat')) *
+					(1 - Math.exp(-3 * delta / autoRotate.homeLatDuration)));
+			}
+		}
+
+		this.applyDeviceOrientation();
+
+		this.__setter('lon', ((this.__getter('lon') % 360.0) + 360.0) % 360.0);
+
+		var drawnView = this.applyLimits(delta);
+		this.__setter('phi', THREE.Math.degToRad(90.0 - drawnView.lat) );
+		this.__setter('theta', THREE.Math.degToRad(drawnView.lon) );
+
+		this.__getter('target').x = 500.0 * Math.sin(this.__getter('phi')) * Math.cos(this.__getter('theta'));
+		this.__getter('target').y = 500.0 * Math.cos(this.__getter('phi'));
+		this.__getter('target').z = 500.0 * Math.sin(this.__getter('phi')) * Math.sin(this.__getter('theta'));
+
+		this.__getter('camera').lookAt(this.__getter('target'));
+		this.renderFrame();
+
+		// after render because camera matrices is updated by renderer
+		this.updateHotspots();
+		this.updateTiles();
+
+		var view = this.getView();
+		var lastView = this.__getter('lastView');
+		this.__setter('lastView', view);
+
+		if (lastView) {
+			if (view.lon !== lastView.lon || view.lat !== lastView.lat)
+				this.emit('viewchange', view);
+			if (view.fov !== lastView.fov) {
+				this.updateControls();
+				this.emit('zoomchange', view);
+			}
+
+			if (
+				this.params.syncUrl &&
+				(view.lon !== lastView.lon || view.lat !== lastView.lat || view.fov !== lastView.fov)
+			) {
+				this.scheduleUrlUpdate();
+			}
+		}
+	};
+	// Panorama.prototype.draw }}}1
+
+	// Panorama.prototype.renderStereo {{{1
+	/**
+	 * Render frame for left and right eyes side by side
+	 * (with distortion pass if "stereoDistortion" is set)
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.renderStereo = function () {
+		var self = this;
+		var renderer = this.__getter('renderer');
+		var scene = this.__getter('scene');
+		var camera = this.__getter('camera');
+		var width = this.__getter('containerSize').width;
+		var height = this.__getter('containerSize').height;
+		var eyeWidth = Math.floor(width / 2);
+		var strength = this.params.stereoDistortion;
+
+		// matrices of main camera is used by tiles
+		updateCameraMatrices(camera);
+
+		var cameras = this.__getter('stereoCameras');
+		if (!cameras) {
+			cameras = [
+				new THREE.PerspectiveCamera(camera.fov, 1, camera.near, camera.far),
+				new THREE.PerspectiveCamera(camera.fov, 1, camera.near, camera.far)
+			];
+			this.__setter('stereoCameras', cameras);
+		}
+
+		var targets = null;
+		var pass = null;
+		if (strength) {
+			targets = this.__getter('stereoTargets');
+			var targetWidth = Math.round(eyeWidth * rendererPixelRatio(renderer));
+			var targetHeight = Math.round(height * rendererPixelRatio(renderer));
+
+			if (!targets || targets[0].width !== targetWidth || targets[0].height !== targetHeight) {
+				this.disposeStereoTargets();
+				targets = [0, 1].map(function () {
+					return new THREE.WebGLRenderTarget(targetWidth, targetHeight, {
+						minFilter: THREE.LinearFilter,
+						magFilter: THREE.LinearFilter,
+						format: THREE.RGBAFormat
+					});
+				});
+				this.__setter('stereoTargets', targets);
+			}
+
+			pass = this.__getter('distortionPass');
+			if (!pass) {
+				pass = {
+					scene: new THREE.Scene(),
+					camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1),
+					material: new THREE.ShaderMaterial({
+						uniforms: {
+							map: { type: 't', value: null },
+							strength: { type: 'f', value: 0 },
+							aspect: { type: 'f', value: 1 }
+						},
+						vertexShader: distortionVertexShader,
+						fragmentShader: distortionFragmentShader,
+						depthTest: false,
+						depthWrite: false
+					})
+				};
+				pass.scene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), pass.material));
+				this.__setter('distortionPass', pass);
+			}
+			pass.material.uniforms.strength.value = strength;
+			pass.material.uniforms.aspect.value = eyeWidth / height;
+		}
+
+		// stereo is always rectilinear
+		var eyeFov = Math.min(camera.fov, this.getFovLimits('rectilinear').maxFov);
+
+		$.each(cameras, function (index, eye) {
+			eye.fov = eyeFov;
+			eye.aspect = eyeWidth / height;
+			eye.updateProjectionMatrix();
+			eye.quaternion.copy(camera.quaternion);
+			eye.position.set(
+				((index === 0) ? -0.5 : 0.5) * self.params.eyeSeparation, 0, 0
+			).applyQuaternion(camera.quaternion);
+
+			// before scissor test that could clip render target
+			if (targets) renderToTarget(renderer, scene, eye, targets[index]);
+		});
+
+		renderer.setViewport(0, 0, width, height);
+		renderer.clear();
+		setScissorTest(renderer, true);
+
+		$.each(cameras, function (index, eye) {
+			var x = index * eyeWidth;
+
+			renderer.setViewport(x, 0, eyeWidth, height);
+			renderer.setScissor(x, 0, eyeWidth, height);
+
+			if (targets) {
+				pass.material.uniforms.map.value = targets[index].texture || targets[index];
+				renderer.render(pass.scene, pass.camera);
+			} else {
+				renderer.render(scene, eye);
+			}
+		});
+
+		setScissorTest(renderer, false);
+		renderer.setViewport(0, 0, width, height);
+	};
+	// Panorama.prototype.renderStereo }}}1
+
+	// Panorama.prototype.disposeStereoTargets {{{1
+	/**
+	 * Free render targets of distortion pass
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.disposeStereoTargets = function () {
+		var targets = this.__getter('stereoTargets');
+		if (!targets) return;
+
+		$.each(targets, function (i, target) {
+			target.dispose();
+		});
+		this.__setter('stereoTargets', null);
+	};
+	// Panorama.prototype.disposeStereoTargets }}}1
+
+	// Panorama.prototype.setStereo {{{1
+	/**
+	 * Turn on/off side-by-side stereo rendering (for VR headsets)
+	 *
+	 * @memberOf Panorama
+	 * @param {boolean} enabled
+	 * @public
+	 * @static
+	 * @exception {Panorama~StereoNotSupported}
+	 */
+	Panorama.prototype.setStereo = function (enabled) {
+		if (enabled && !(this.__getter('renderer') instanceof THREE.WebGLRenderer)) {
+			throw new this.exceptions.StereoNotSupported();
+		}
+
+		this.__setter('stereo', !!enabled);
+		this.invalidate();
+		this.updateControls();
+
+		if (!enabled) {
+			this.disposeStereoTargets();
+
+			var pass = this.__getter('distortionPass');
+			if (pass) {
+				pass.material.dispose();
+				this.__setter('distortionPass', null);
+			}
+		}
+	};
+	// Panorama.prototype.setStereo }}}1
+
+	// Panorama.prototype.toggleStereo {{{1
+	/**
+	 * Turn on stereo rendering if it is turned off or turn it off
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @exception {Panorama~StereoNotSupported}
+	 */
+	Panorama.prototype.toggleStereo = function () {
+		this.setStereo(!this.isStereo());
+	};
+	// Panorama.prototype.toggleStereo }}}1
+
+	// Panorama.prototype.isStereo {{{1
+	/**
+	 * Stereo rendering is turned on
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {boolean}
+	 */
+	Panorama.prototype.isStereo = function () {
+		return this.__getter('stereo');
+	};
+	// Panorama.prototype.isStereo }}}1
+
+	// Panorama.prototype.getFovLimits {{{1
+	/**
+	 * Zoom limits of projection
+	 *
+	 * @memberOf Panorama
+	 * @param {string} [projection] Name of projection (current by default)
+	 * @public
+	 * @static
+	 * @returns {Panorama~fovLimits}
+	 */
+	Panorama.prototype.getFovLimits = function (projection) {
+		return this.params.projectionFov[projection || this.__getter('projection')];
+	};
+	// Panorama.prototype.getFovLimits }}}1
+
+	// Panorama.prototype.getProjection {{{1
+	/**
+	 * Name of current projection (target projection while transition)
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {string}
+	 */
+	Panorama.prototype.getProjection = function () {
+		return this.__getter('projection');
+	};
+	// Panorama.prototype.getProjection }}}1
+
+	// Panorama.prototype.setProjection {{{1
+	/**
+	 * @typedef Panorama~setProjectionOptions
+	 * @type {Object.<*>}
+	 * @prop {number} [duration=1000] Duration of transition in milliseconds (0 is immediately)
+	 * @prop {string} [easing='swing'] Name of jQuery easing
+	 */
+	/**
+	 * @callback Panorama~setProjectionCallback
+	 * @param {Error|Null} err {@link Panorama~AnimationInterrupted} or null if transition is finished
+	 * @this {Panorama} Instance of Panorama
+	 */
+	/**
+	 * Switch projection with animated transition.
+	 * Percent of zoom is kept (fov is changed to limits of new projection).
+	 * Current transition is finished immediately by next "setProjection".
+	 * Stereo mode is always rectilinear.
+	 *
+	 * @memberOf Panorama
+	 * @param {string} projection 'rectilinear', 'stereographic' or 'fisheye'
+	 * @param {Panorama~setProjectionOptions} [options]
+	 * @param {Panorama~setProjectionCallback} [callback] Callback after transition is finished or interrupted
+	 * @public
+	 * @static
+	 * @exception {Panorama~IncorrectArgument}
+	 * @exception {Panorama~ProjectionNotSupported}
+	 * @returns {jQuery.Promise} Resolved with name of projection when transition is finished,
+	 * rejected with {@link Panorama~AnimationInterrupted}
+	 */
+	Panorama.prototype.setProjection = function (projection/*[, options][, callback]*/) {
+		var self = this;
+		var options = {};
+		var callback = null;
+
+		Array.prototype.slice.call(arguments, 1).forEach(function (arg) {
+			if ($.isPlainObject(arg)) {
+				options = arg;
+			} else if ($.type(arg) === 'function') {
+				callback = arg;
+			} else if (arg !== undefined) {
+				throw new self.exceptions.IncorrectArgument(
+					'Incorrect argument of Panorama.setProjection'
+				);
+			}
+		});
+
+		if ($.inArray(projection, projections) === -1) {
+			throw new this.exceptions.IncorrectArgument(
+				'Unknown projection: "' + projection + '"'
+			);
+		}
+
+		if (
+			projection !== 'rectilinear' &&
+			!(this.__getter('renderer') instanceof THREE.WebGLRenderer)
+		) {
+			throw new this.exceptions.ProjectionNotSupported();
+		}
+
+		options = $.extend({
+			duration: 1000,
+			easing: 'swing'
+		}, options);
+
+		// finish current transition at target projection
+		var current = this.__getter('projectionTransition');
+		if (current) current.$animation.stop(true, true);
+
+		var previous = this.__getter('projection');
+		var deferred = $.Deferred();
+
+		if (projection === previous) {
+			deferred.resolveWith(this, [projection]);
+			if (callback) callback.call(this, null);
+			return deferred.promise();
+		}
+
+		var camera = this.__getter('camera');
+		var zoom = this.getView().zoom;
+		var startFov = camera.fov;
+
+		this.__setter('projection', projection);
+		var targetFov = this.zoom(zoom, true); // by limits of new projection
+
+		var state = {
+			from: previous,
+			progress: 0,
+			$animation: $({ progress: 0 }),
+			deferred: deferred,
+			callback: callback
+		};
+		this.__setter('projectionTransition', state);
+
+		function complete() {
+			self.__setter('projectionTransition', null);
+			self.applyView({ fov: targetFov }); // pan limits depends on fov
+			self.invalidate();
+
+			self.emit('projectionchange', { projection: projection, previous: previous });
+			state.deferred.resolveWith(self, [projection]);
+			if (state.callback) state.callback.call(self, null);
+		}
+
+		if (options.duration <= 0) {
+			complete();
+			return deferred.promise();
+		}
+
+		state.$animation.animate({ progress: 1 }, {
+			duration: options.duration,
+			easing: options.easing,
+			step: function (now) {
+				state.progress = now;
+				camera.fov = startFov + (targetFov - startFov) * now;
+				camera.updateProjectionMatrix();
+				self.invalidate();
+			},
+			complete: complete
+		});
+
+		return deferred.promise();
+	};
+	// Panorama.prototype.setProjection }}}1
+
+	// Panorama.prototype.stopProjectionTransition {{{1
+	/**
+	 * Stop transition between projections at current state
+	 * (projection is switched to target immediately)
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {boolean} false if there was no transition
+	 */
+	Panorama.prototype.stopProjectionTransition = function () {
+		var state = this.__getter('projectionTransition');
+		if (!state) return false;
+
+		this.__setter('projectionTransition', null);
+		state.$animation.stop(true, false);
+		this.applyView({ fov: this.zoom(this.getView().zoom, true) });
+		this.invalidate();
+
+		var err = new this.exceptions.AnimationInterrupted();
+		state.deferred.rejectWith(this, [err]);
+		if (state.callback) state.callback.call(this, err);
+
+		return true;
+	};
+	// Panorama.prototype.stopProjectionTransition }}}1
+
+	// Panorama.prototype.usesProjectionPass {{{1
+	/**
+	 * Frame is rendered by projection pass
+	 * (non-rectilinear projection or transition between projections)
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 * @returns {boolean}
+	 */
+	Panorama.prototype.usesProjectionPass = function () {
+		return this.__getter('projection') !== 'rectilinear' ||
+			!!this.__getter('projectionTransition');
+	};
+	// Panorama.prototype.usesProjectionPass }}}1
+
+	// Panorama.prototype.renderProjection {{{1
+	/**
+	 * Render the scene by camera with current projection.
+	 * Non-rectilinear projections is rendered by cube camera to cube map
+	 * and full-screen quad that maps screen to directions of cube map.
+	 *
+	 * @memberOf Panorama
+	 * @param {THREE~PerspectiveCamera} [camera] Camera of panorama by default
+	 * @param {THREE~WebGLRenderTarget} [target] Render target (canvas of renderer by default)
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.renderProjection = function (camera, target) {
+		var renderer = this.__getter('renderer');
+		var scene = this.__getter('scene');
+		camera = camera || this.__getter('camera');
+
+		function render(sceneToRender, cameraToRender) {
+			if (target) {
+				renderToTarget(renderer, sceneToRender, cameraToRender, target);
+			} else {
+				renderer.render(sceneToRender, cameraToRender);
+			}
+		}
+
+		if (!this.usesProjectionPass()) {
+			render(scene, camera);
+			return;
+		}
+
+		// rotation of camera is used by projection pass
+		updateCameraMatrices(camera);
+
+		// size of side by density of pixels at center of screen
+		var needSize = this.__getter('containerSize').height *
+			rendererPixelRatio(renderer) * 90 / camera.fov;
+		var maxSize = Math.min(2048,
+			(renderer.capabilities && renderer.capabilities.maxCubemapSize) || 2048);
+		var size = 256;
+		while (size < needSize && size < maxSize) size *= 2;
+
+		var pass = this.__getter('projectionPass');
+		if (!pass || pass.size !== size) {
+			if (pass) this.disposeProjectionPass();
+
+			pass = {
+				size: size,
+				cubeCamera: createCubeCamera(size),
+				scene: new THREE.Scene(),
+				camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1),
+				material: new THREE.ShaderMaterial({
+					uniforms: {
+						map: { type: 't', value: null },
+						rotation: { type: 'm4', value: new THREE.Matrix4() },
+						fov: { type: 'f', value: 0 },
+						aspect: { type: 'f', value: 1 },
+						fromProjection: { type: 'i', value: 0 },
+						toProjection: { type: 'i', value: 0 },
+						progress: { type: 'f', value: 1 }
+					},
+					vertexShader: distortionVertexShader,
+					fragmentShader: projectionFragmentShader,
+					depthTest: false,
+					depthWrite: false
+				})
+			};
+			pass.scene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), pass.material));
+			this.__setter('projectionPass', pass);
+		}
+
+		pass.cubeCamera.position.copy(camera.position);
+		updateCubeCamera(pass.cubeCamera, renderer, scene);
+
+		var transition = this.__getter('projectionTransition');
+		var cubeTarget = pass.cubeCamera.renderTarget;
+		var uniforms = pass.material.uniforms;
+
+		uniforms.map.value = cubeTarget.texture || cubeTarget;
+		uniforms.rotation.value.copy(camera.matrixWorld);
+		uniforms.fov.value = THREE.Math.degToRad(camera.fov);
+		uniforms.aspect.value = camera.aspect;
+		uniforms.fromProjection.value = $.inArray(
+			transition ? transition.from : this.__getter('projection'), projections
+		);
+		uniforms.toProjection.value = $.inArray(this.__getter('projection'), projections);
+		uniforms.progress.value = transition ? transition.progress : 1;
+
+		render(pass.scene, pass.camera);
+	};
+	// Panorama.prototype.renderProjection }}}1
+
+	// Panorama.prototype.disposeProjectionPass {{{1
+	/**
+	 * Free cube map and material of projection pass
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.disposeProjectionPass = function () {
+		var pass = this.__getter('projectionPass');
+		if (!pass) return;
+
+		pass.cubeCamera.renderTarget.dispose();
+		pass.material.dispose();
+		this.__setter('projectionPass', null);
+	};
+	// Panorama.prototype.disposeProjectionPass }}}1
+
+	// Panorama.prototype.snapshot {{{1
+	/**
+	 * @typedef Panorama~imageOptions
+	 * @type {Object.<*>}
+	 * @prop {number} [width] Width of image in pixels (width of container by default)
+	 * @prop {number} [height] Height of image in pixels (height of container by default)
+	 * @prop {string} [type='image/png'] MIME-type of image
+	 * @prop {float} [quality] Quality of image from 0 to 1 (for 'image/jpeg' and 'image/webp')
+	 */
+	/**
+	 * @callback Panorama~imageCallback
+	 * @param {Error|Null} err Exception instance or null if no errors
+	 * @param {Blob} [blob] Image
+	 * @this {Panorama} Instance of Panorama
+	 */
+	/**
+	 * Render current view of camera at requested resolution (off-screen).
+	 * Hotspots is not included.
+	 *
+	 * @memberOf Panorama
+	 * @param {Panorama~imageOptions} [options]
+	 * @param {Panorama~imageCallback} [callback] Callback with Blob of image
+	 * @public
+	 * @static
+	 * @exception {Panorama~IncorrectArgument}
+	 * @exception {Panorama~SnapshotError}
+	 * @returns {string} Data URL of image
+	 */
+	Panorama.prototype.snapshot = function (/*[options][, callback]*/) {
+		var self = this;
+		var options = {};
+		var callback = null;
+
+		Array.prototype.slice.call(arguments, 0).forEach(function (arg) {
+			if ($.isPlainObject(arg)) {
+				options = arg;
+			} else if ($.type(arg) === 'function') {
+				callback = arg;
+			} else if (arg !== undefined) {
+				throw new self.exceptions.IncorrectArgument(
+					'Incorrect argument of Panorama.snapshot'
+				);
+			}
+		});
+
+		options = $.extend({
+			width: this.$container.width(),
+			height: this.$container.height(),
+			type: 'image/png',
+			quality: undefined
+		}, options);
+
+		if (!(options.width > 0 && options.height > 0)) {
+			throw new this.exceptions.IncorrectArgument('Incorrect size of snapshot');
+		}
+
+		var renderer = this.__getter('renderer');
+		var width = Math.max(1, Math.round(options.width));
+		var height = Math.max(1, Math.round(options.height));
+		var canvas;
+
+		// separate camera, view of panorama is not changed
+		var camera = this.__getter('camera').clone();
+		camera.aspect = width / height;
+		camera.updateProjectionMatrix();
+		updateCameraMatrices(camera);
+
+		if (renderer instanceof THREE.WebGLRenderer) {
+			if (!renderer.readRenderTargetPixels) {
+				throw new this.exceptions.SnapshotError(
+					'Reading of pixels is not supported by this version of three.js'
+				);
+			}
+
+			this.acquireRenderer(); // shared renderer could be released
+			renderer = this.__getter('renderer');
+
+			var target = new THREE.WebGLRenderTarget(width, height, {
+				minFilter: THREE.LinearFilter,
+				magFilter: THREE.LinearFilter,
+				format: THREE.RGBAFormat
+			});
+			var pixels = new Uint8Array(width * height * 4);
+
+			this.renderProjection(camera, target);
+			renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+			target.dispose();
+
+			if (this.isSuspended()) this.releaseRenderer();
+
+			canvas = document.createElement('canvas');
+			canvas.width = width;
+			canvas.height = height;
+
+			var context = canvas.getContext('2d');
+			var imageData = context.createImageData(width, height);
+			var rowSize = width * 4;
+
+			// rows of pixels of WebGL is from bottom to top
+			for (var y = 0; y < height; y++) {
+				imageData.data.set(
+					pixels.subarray((height - y - 1) * rowSize, (height - y) * rowSize),
+					y * rowSize
+				);
+			}
+			context.putImageData(imageData, 0, 0);
+		} else {
+			var canvasRenderer = new THREE.CanvasRenderer({
+				alpha: true,
+				devicePixelRatio: 1 // three.js before r70
+			});
+			if (canvasRenderer.setPixelRatio) canvasRenderer.setPixelRatio(1);
+			canvasRenderer.setSize(width, height);
+			canvasRenderer.render(this.__getter('scene'), camera);
+
+			canvas = canvasRenderer.domElement;
+		}
+
+		var dataURL;
+		try {
+			dataURL = canvas.toDataURL(options.type, options.quality);
+		} catch (err) { // canvas is tainted by cross-origin images
+			throw new this.exceptions.SnapshotError();
+		}
+
+		if (callback) {
+			canvasToBlob(canvas, options.type, options.quality, function (blob) {
+				callback.call(self, null, blob);
+			});
+		}
+
+		return dataURL;
+	};
+	// Panorama.prototype.snapshot }}}1
+
+	// Panorama.prototype.exportEquirectangular {{{1
+	/**
+	 * Re-project loaded side textures to single equirectangular (2:1) image.
+	 * Center of image is direction of camera at start (longitude 90).
+	 * Tiled sides is exported by preview level only.
+	 *
+	 * @memberOf Panorama
+	 * @param {number} [width] Width of image in pixels
+	 * (four widths of side texture by default, limited by 4096)
+	 * @param {Panorama~imageOptions} [options] Only "type" and "quality"
+	 * @param {Panorama~imageCallback} [callback] Callback with Blob of image
+	 * @public
+	 * @static
+	 * @exception {Panorama~IncorrectArgument}
+	 * @exception {Panorama~SnapshotError}
+	 * @returns {string} Data URL of image
+	 */
+	Panorama.prototype.exportEquirectangular = function (width/*[, options][, callback]*/) {
+		var self = this;
+		var options = {};
+		var callback = null;
+
+		Array.prototype.slice.call(arguments, 1).forEach(function (arg) {
+			if ($.isPlainObject(arg)) {
+				options = arg;
+			} else if ($.type(arg) === 'function') {
+				callback = arg;
+			} else if (arg !== undefined) {
+				throw new self.exceptions.IncorrectArgument(
+					'Incorrect argument of Panorama.exportEquirectangular'
+				);
+			}
+		});
+
+		options = $.extend({
+			type: 'image/png',
+			quality: undefined
+		}, options);
+
+		var progress = this.getLoadProgress();
+		if (progress.loaded < progress.total) {
+			throw new this.exceptions.SnapshotError('Textures of sides is not loaded');
+		}
+		$.each(progress.sides, function (side, state) {
+			if (state === 'failed') {
+				throw new self.exceptions.SnapshotError('Texture of ' + side + ' side is failed');
+			}
+		});
+
+		var sources;
+		try {
+			sources = $.map(this.__getter('materials'), function (material) {
+				var image = material.map.image;
+				var canvas = document.createElement('canvas');
+				canvas.width = image.naturalWidth || image.width;
+				canvas.height = image.naturalHeight || image.height;
+
+				var context = canvas.getContext('2d');
+				context.drawImage(image, 0, 0);
+				return context.getImageData(0, 0, canvas.width, canvas.height);
+			});
+		} catch (err) { // cross-origin images
+			throw new this.exceptions.SnapshotError();
+		}
+
+		if (width === undefined) width = Math.min(4096, sources[0].width * 4);
+
+		if ($.type(width) !== 'number' || !(width >= 2)) {
+			throw new this.exceptions.IncorrectArgument('Incorrect width of equirectangular image');
+		}
+
+		var canvas = sidesToEquirectangular(sources, Math.round(width));
+
+		if (callback) {
+			canvasToBlob(canvas, options.type, options.quality, function (blob) {
+				callback.call(self, null, blob);
+			});
+		}
+
+		return canvas.toDataURL(options.type, options.quality);
+	};
+	// Panorama.prototype.exportEquirectangular }}}1
+
+	// Panorama.prototype.enterFullscreen {{{1
+	/**
+	 * Expand container to full screen (by Fullscreen API,
+	 * or stretch it to window by CSS if API is not supported or request is rejected).
+	 * Fullscreen API works only by user gesture (click, key press, etc.).
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 */
+	Panorama.prototype.enterFullscreen = function () {
+		var self = this;
+
+		if (this.isFullscreen()) return;
+
+		// state is changed by "fullscreenchange" event,
+		// container is stretched by CSS if request is rejected
+		if (requestFullscreen(this.$container.get(0), function () {
+			if (self.destroyed) return;
+			if (!self.isFullscreen()) self.setFullscreenState('pseudo');
+		})) return;
+
+		this.setFullscreenState('pseudo');
+	};
+	// Panorama.prototype.enterFullscreen }}}1
+
+	// Panorama.prototype.exitFullscreen {{{1
+	/**
+	 * Exit fullscreen mode
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 */
+	Panorama.prototype.exitFullscreen = function () {
+		switch (this.__getter('fullscreen')) {
+			case 'native':
+				exitFullscreen(); // state is changed by "fullscreenchange" event
+				break;
+			case 'pseudo':
+				this.setFullscreenState(null);
+				break;
+		}
+	};
+	// Panorama.prototype.exitFullscreen }}}1
+
+	// Panorama.prototype.toggleFullscreen {{{1
+	/**
+	 * Enter fullscreen mode if it is not active or exit it
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 */
+	Panorama.prototype.toggleFullscreen = function () {
+		if (this.isFullscreen()) {
+			this.exitFullscreen();
+		} else {
+			this.enterFullscreen();
+		}
+	};
+	// Panorama.prototype.toggleFullscreen }}}1
+
+	// Panorama.prototype.isFullscreen {{{1
+	/**
+	 * Container is in fullscreen mode (native or pseudo)
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {boolean}
+	 */
+	Panorama.prototype.isFullscreen = function () {
+		return this.__getter('fullscreen') !== null;
+	};
+	// Panorama.prototype.isFullscreen }}}1
+
+	// Panorama.prototype.setFullscreenState {{{1
+	/**
+	 * @typedef Panorama~fullscreenEvent
+	 * @type {Object.<*>}
+	 * @prop {boolean} fullscreen Container is in fullscreen mode
+	 * @prop {boolean} pseudo Container is stretched to window by CSS (Fullscreen API is not supported)
+	 */
+	/**
+	 * Apply changed fullscreen mode (styles of container, size of renderer)
+	 * and emit "fullscreenchange" event
+	 *
+	 * @memberOf Panorama
+	 * @param {string|Null} state null, 'native' or 'pseudo'
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.setFullscreenState = function (state) {
+		var self = this;
+		var oldState = this.__getter('fullscreen');
+		if (state === oldState) return;
+
+		if (oldState === null) {
+			this.__setter('containerStyle', this.$container.attr('style'));
+			this.$container.addClass('panorama_fullscreen').css({
+				width: '100%',
+				height: '100%'
+			});
+		}
+
+		if (state === 'pseudo') {
+			this.$container.css({
+				position: 'fixed',
+				left: 0,
+				top: 0,
+				margin: 0,
+				zIndex: 2147483647
+			});
+
+			// like Fullscreen API
+			$(document).bind('keydown.' + this.panoramaId, function (event) {
+				if (event.which === 27) self.exitFullscreen(); // escape
+			});
+		}
+
+		this.__setter('fullscreen', state);
+		if (state === null) this.restoreContainerStyle();
+
+		this.handlers.resizeHandler.call(window, this);
+		this.updateControls();
+
+		this.emit('fullscreenchange', {
+			fullscreen: state !== null,
+			pseudo: state === 'pseudo'
+		});
+	};
+	// Panorama.prototype.setFullscreenState }}}1
+
+	// Panorama.prototype.restoreContainerStyle {{{1
+	/**
+	 * Restore styles of container after fullscreen mode
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.restoreContainerStyle = function () {
+		var style = this.__getter('containerStyle');
+
+		$(document).unbind('keydown.' + this.panoramaId);
+		this.$container.removeClass('panorama_fullscreen');
+
+		if (style === undefined) {
+			this.$container.removeAttr('style');
+		} else {
+			this.$container.attr('style', style);
+		}
+
+		this.__setter('containerStyle', undefined);
+	};
+	// Panorama.prototype.restoreContainerStyle }}}1
+
+	// Panorama.prototype.getSidePath {{{1
+	/**
+	 * Get path to image of side (or tile of side) by "imgPathMask"
+	 *
+	 * @memberOf Panorama
+	 * @param {number} index Index of side
+	 * @param {number} level Level of tile
+	 * @param {number} x Column of tile
+	 * @param {number} y Row of tile
+	 * @protected
+	 * @static
+	 * @returns {string}
+	 */
+	Panorama.prototype.getSidePath = function (index, level, x, y) {
+		return this.params.imgPathMask
+			.replace(/#PANORAMA_CODE#/g, this.params.panoramaCode)
+			.replace(/#SIDE#/g, this.params.sideNames[index])
+			.replace(/#LEVEL#/g, level)
+			.replace(/#X#/g, x)
+			.replace(/#Y#/g, y);
+	};
+	// Panorama.prototype.getSidePath }}}1
+
+	// Panorama.prototype.updateTiles {{{1
+	/**
+	 * Load tiles of level of detail for current fov that is visible by camera
+	 * and remove not visible tiles if cache is full
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.updateTiles = function () {
+		var self = this;
+		var tiles = this.__getter('tiles');
+		if (!tiles) return;
+
+		var camera = this.__getter('camera');
+		var now = (new Date()).getTime();
+
+		// side is 90 degrees, so it is size of side in pixels on screen
+		var needSize = this.__getter('containerSize').height *
+			rendererPixelRatio(this.__getter('renderer')) * 90 / camera.fov;
+		var level = 0;
+		while (
+			level < this.params.maxTileLevel &&
+			this.params.tileSize * Math.pow(2, level) < needSize
+		) level++;
+
+		if (level > 0) {
+			// all directions is visible by projection pass
+			var frustum = this.usesProjectionPass() ? null : cameraFrustum(camera);
+			var count = Math.pow(2, level);
+			var sphere = new THREE.Sphere();
+
+			$.each(sides, function (index) {
+				// skip whole side if it is not visible
+				sphere.set(
+					new THREE.Vector3().fromArray(sideDirection(index, 0, 0))
+						.multiplyScalar(150),
+					150 * Math.SQRT2
+				);
+				if (frustum && !frustum.intersectsSphere(sphere)) return;
+
+				for (var y = 0; y < count; y++) {
+					for (var x = 0; x < count; x++) {
+						var a = (2 * x + 1) / count - 1;
+						var b = (2 * y + 1) / count - 1;
+						sphere.set(
+							new THREE.Vector3().fromArray(sideDirection(index, a, b))
+								.multiplyScalar(150),
+							150 * Math.SQRT2 / count
+						);
+						if (frustum && !frustum.intersectsSphere(sphere)) continue;
+
+						var key = [index, level, x, y].join('/');
+						if (!(key in tiles)) self.loadTile(index, level, x, y);
+						tiles[key].lastVisible = now;
+					}
+				}
+			});
+		}
+
+		// remove not visible tiles if cache is full
+		if (this.__getter('tilesCount') > this.params.tileCacheSize) {
+			var keys = [];
+			$.each(tiles, function (key, tile) {
+				if (tile.lastVisible < now) keys.push(key);
+			});
+			keys.sort(function (a, b) {
+				return tiles[a].lastVisible - tiles[b].lastVisible;
+			});
+			while (keys.length > 0 && this.__getter('tilesCount') > this.params.tileCacheSize) {
+				this.removeTile(keys.shift());
+			}
+		}
+	};
+	// Panorama.prototype.updateTiles }}}1
+
+	// Panorama.prototype.loadTile {{{1
+	/**
+	 * Add tile to cache and load its image
+	 *
+	 * @memberOf Panorama
+	 * @param {number} index Index of side
+	 * @param {number} level Level of tile
+	 * @param {number} x Column of tile
+	 * @param {number} y Row of tile
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.loadTile = function (index, level, x, y) {
+		var key = [index, level, x, y].join('/');
+		var path = this.getSidePath(index, level, x, y);
+		var tile = {
+			side: index,
+			level: level,
+			x: x,
+			y: y,
+			mesh: null,
+			failed: false,
+			lastVisible: 0
+		};
+
+		this.__getter('tiles')[key] = tile;
+		this.__setter('tilesCount', this.__getter('tilesCount') + 1);
+
+		this.loadImage(path, false, function (img) {
+			// removed from cache while loading
+			if (this.__getter('tiles')[key] !== tile) return;
+
+			if (!img) {
+				tile.failed = true;
+				this.emit('tileerror', {
+					side: sides[index],
+					level: level,
+					x: x,
+					y: y,
+					path: path
+				});
+				return;
+			}
+
+			var count = Math.pow(2, level);
+			// higher levels is closer to camera to cover lower levels
+			var radius = 150 - level;
+
+			// plane vertices order: top-left, top-right, bottom-left, bottom-right
+			var geometry = new THREE.PlaneGeometry(1, 1, 1, 1);
+			setGeometryVertices(geometry, $.map(
+				[[x, y], [x + 1, y], [x, y + 1], [x + 1, y + 1]],
+				function (corner) {
+					return new THREE.Vector3().fromArray(sideDirection(
+						index,
+						2 * corner[0] / count - 1,
+						2 * corner[1] / count - 1
+					)).multiplyScalar(radius);
+				}
+			));
+
+			var texture = new THREE.Texture(img);
+			texture.needsUpdate = true;
+
+			tile.mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+				map: texture,
+				side: THREE.DoubleSide,
+				overdraw: true
+			}));
+
+			this.__getter('scene').add(tile.mesh);
+			this.invalidate();
+		});
+	};
+	// Panorama.prototype.loadTile }}}1
+
+	// Panorama.prototype.removeTile {{{1
+	/**
+	 * Remove tile from cache and scene
+	 *
+	 * @memberOf Panorama
+	 * @param {string} key Key of tile in cache
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.removeTile = function (key) {
+		var tiles = this.__getter('tiles');
+		var tile = tiles[key];
+
+		delete tiles[key];
+		this.__setter('tilesCount', this.__getter('tilesCount') - 1);
+
+		if (tile.mesh) {
+			this.__getter('scene').remove(tile.mesh);
+			tile.mesh.geometry.dispose();
+			tile.mesh.material.map.dispose();
+			tile.mesh.material.dispose();
+			this.invalidate(); // lower level is visible instead
+		}
+	};
+	// Panorama.prototype.removeTile }}}1
+
+	// Panorama.prototype.addHotspot {{{1
+	/**
+	 * @typedef Panorama~hotspotParams
+	 * @type {Object.<*>}
+	 * @prop {float} lon Longitude of direction to the hotspot (in degrees)
+	 * @prop {float} lat Latitude of direction to the hotspot (in degrees)
+	 * @prop {string} [html] HTML content of the hotspot
+	 * @prop {jQuery|DOM} [element] Element of the hotspot (instead of "html")
+	 * @prop {Panorama~hotspotClickCallback} [onClick] Callback on click by the hotspot
+	 * @prop {string} [id] Custom identificator of the hotspot (generated if not set)
+	 */
+	/**
+	 * @callback Panorama~hotspotClickCallback
+	 * @param {jQuery.Event} event Click event
+	 * @param {Panorama~hotspot} hotspot Clicked hotspot
+	 * @this {Panorama} Instance of Panorama
+	 */
+	/**
+	 * Add DOM-overlay marker anchored to direction inside the box
+	 *
+	 * @memberOf Panorama
+	 * @param {Panorama~hotspotParams} hotspotParams
+	 * @public
+	 * @static
+	 * @exception {Panorama~IncorrectArgument}
+	 * @exception {Panorama~HotspotAlreadyExists}
+	 * @returns {string} Identificator of the hotspot
+	 */
+	Panorama.prototype.addHotspot = function (hotspotParams) {
+		var self = this;
+
+		if (
+			!$.isPlainObject(hotspotParams) ||
+			$.type(hotspotParams.lon) !== 'number' ||
+			$.type(hotspotParams.lat) !== 'number' ||
+			(
+				'onClick' in hotspotParams &&
+				$.type(hotspotParams.onClick) !== 'function'
+			)
+		) {
+			throw new this.exceptions.IncorrectArgument('Incorrect hotspot parameters');
+		}
+
+		var id;
+		if ('id' in hotspotParams && hotspotParams.id !== null) {
+			id = hotspotParams.id.toString();
+			if (this.getHotspotIndex(id) !== -1)
+				throw new this.exceptions.HotspotAlreadyExists(null, id);
+		} else {
+			do {
+				this.__setter('hotspotsCounter', this.__getter('hotspotsCounter') + 1);
+				id = 'hotspot_' + this.__getter('hotspotsCounter');
+			} while (this.getHotspotIndex(id) !== -1);
+		}
+
+		var $hotspot = $('<div/>')
+			.addClass('panorama_hotspot')
+			.attr('data-hotspot-id', id)
+			.css({
+				position: 'absolute',
+				left: 0,
+				top: 0,
+				display: 'none',
+				transform: 'translate(-50%, -50%)'
+			});
+
+		var $element = null;
+		if ('element' in hotspotParams && hotspotParams.element) {
+			$element = $(hotspotParams.element);
+			$hotspot.append($element);
+		} else if ('html' in hotspotParams) {
+			$hotspot.html(hotspotParams.html);
+		}
+
+		// prevent moving camera when user clicks by the hotspot
+		$hotspot.bind(
+			'mousedown.' + this.panoramaId +
+			' touchstart.' + this.panoramaId +
+			' pointerdown.' + this.panoramaId,
+			function (event) { event.stopPropagation(); }
+		);
+
+		if (hotspotParams.onClick) {
+			$hotspot.bind('click.' + this.panoramaId, function (event) {
+				hotspotParams.onClick.call(self, event, self.getHotspot(id));
+			});
+		}
+
+		this.$panoramaWrapper.append($hotspot);
+
+		this.__getter('hotspots').push({
+			id: id,
+			lon: hotspotParams.lon,
+			lat: hotspotParams.lat,
+			$hotspot: $hotspot,
+			$element: $element,
+			visible: false
+		});
+		this.invalidate(); // position of hotspot is updated by drawing
+
+		return id;
+	};
+	// Panorama.prototype.addHotspot }}}1
+
+	// Panorama.prototype.removeHotspot {{{1
+	/**
+	 * Remove hotspot
+	 *
+	 * @memberOf Panorama
+	 * @param {string} id Identificator of the hotspot
+	 * @public
+	 * @static
+	 * @returns {boolean} false if hotspot is not found
+	 */
+	Panorama.prototype.removeHotspot = function (id) {
+		var index = this.getHotspotIndex(id);
+		if (index === -1) return false;
+
+		var hotspot = this.__getter('hotspots').splice(index, 1)[0];
+
+		// custom element could be used again, so keep its data and handlers
+		if (hotspot.$element) hotspot.$element.detach();
+
+		hotspot.$hotspot.unbind('.' + this.panoramaId).remove();
+
+		return true;
+	};
+	// Panorama.prototype.removeHotspot }}}1
+
+	// Panorama.prototype.getHotspots {{{1
+	/**
+	 * @typedef Panorama~hotspot
+	 * @type {Object.<*>}
+	 * @prop {string} id Identificator of the hotspot
+	 * @prop {float} lon Longitude of the hotspot
+	 * @prop {float} lat Latitude of the hotspot
+	 * @prop {DOM} element Wrapper element of the hotspot
+	 * @prop {boolean} visible Is hotspot in front of the camera
+	 */
+	/**
+	 * Get list of hotspots
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 * @returns {Array.<Panorama~hotspot>}
+	 */
+	Panorama.prototype.getHotspots = function () {
+		var self = this;
+
+		return $.map(this.__getter('hotspots'), function (hotspot) {
+			return self.getHotspot(hotspot.id);
+		});
+	};
+	// Panorama.prototype.getHotspots }}}1
+
+	// Panorama.prototype.getHotspot {{{1
+	/**
+	 * Get hotspot by identificator
+	 *
+	 * @memberOf Panorama
+	 * @param {string} id Identificator of the hotspot
+	 * @public
+	 * @static
+	 * @returns {Panorama~hotspot|null} null if hotspot is not found
+	 */
+	Panorama.prototype.getHotspot = function (id) {
+		var index = this.getHotspotIndex(id);
+		if (index === -1) return null;
+
+		var hotspot = this.__getter('hotspots')[index];
+
+		return {
+			id: hotspot.id,
+			lon: hotspot.lon,
+			lat: hotspot.lat,
+			element: hotspot.$hotspot.get(0),
+			visible: hotspot.visible
+		};
+	};
+	// Panorama.prototype.getHotspot }}}1
+
+	// Panorama.prototype.getHotspotIndex {{{1
+	/**
+	 * Find index of hotspot in private list
+	 *
+	 * @memberOf Panorama
+	 * @param {string} id Identificator of the hotspot
+	 * @protected
+	 * @static
+	 * @returns {number} -1 if hotspot is not found
+	 */
+	Panorama.prototype.getHotspotIndex = function (id) {
+		var hotspots = this.__getter('hotspots');
+
+		id = '' + id;
+		for (var i = 0; i < hotspots.length; i++) {
+			if (hotspots[i].id === id) return i;
+		}
+
+		return -1;
+	};
+	// Panorama.prototype.getHotspotIndex }}}1
+
+	// Panorama.prototype.updateHotspots {{{1
+	/**
+	 * Update positions of hotspots by projecting through the camera
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.updateHotspots = function () {
+		var hotspots = this.__getter('hotspots');
+		if (hotspots.length < 1) return;
+
+		var camera = this.__getter('camera');
+		var width = this.__getter('containerSize').width;
+		var height = this.__getter('containerSize').height;
+		var hidden = this.__getter('stereo') || this.usesProjectionPass();
+
+		$.each(hotspots, function (i, hotspot) {
+			var vector = lonLatToVector(hotspot.lon, hotspot.lat, 100.0)
+				.applyMatrix4(camera.matrixWorldInverse);
+
+			// behind the camera (or hotspots is not supported in stereo mode
+			// and in non-rectilinear projections)
+			if (hidden || vector.z >= 0) {
+				if (hotspot.visible) {
+					hotspot.$hotspot.css('display', 'none');
+					hotspot.visible = false;
+				}
+				return;
+			}
+
+			applyProjection(vector, camera.projectionMatrix);
+
+			hotspot.$hotspot.css({
+				left: ((vector.x + 1) / 2 * width) + 'px',
+				top: ((1 - vector.y) / 2 * height) + 'px'
+			});
+
+			if (!hotspot.visible) {
+				hotspot.$hotspot.css('display', '');
+				hotspot.visible = true;
+			}
+		});
+	};
+	// Panorama.prototype.updateHotspots }}}1
+
+	// Panorama.prototype.createControls {{{1
+	/**
+	 * Render control bar by "controls" parameter
+	 * (default stylesheet is added to document once)
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.createControls = function () {
+		var self = this;
+		var params = this.params.controls;
+
+		if (params.defaultStyles && $('#panorama_controls_style').length < 1) {
+			$('<style/>')
+				.attr({ id: 'panorama_controls_style', type: 'text/css' })
+				.text(controlsStyles)
+				.prependTo('head');
+		}
+
+		var $controls = $('<div/>')
+			.addClass('panorama_controls panorama_controls_' + params.position)
+			.attr('role', 'toolbar');
+
+		$.each(params.buttons, function (i, name) {
+			var button = controlButtons[name];
+			if (button.isSupported && !button.isSupported(self)) return;
+
+			var label = params.labels[name];
+			var $button = $('<button/>')
+				.attr({
+					type: 'button',
+					title: label,
+					'aria-label': label,
+					'data-control': name
+				})
+				.addClass('panorama_control panorama_control_' +
+					name.replace(/[A-Z]/g, function (letter) {
+						return '_' + letter.toLowerCase();
+					}))
+				.append($('<span/>').attr('aria-hidden', 'true').text(button.icon));
+
+			$controls.append($button);
+		});
+
+		// prevent moving camera when user clicks by the bar
+		$controls.bind(
+			'mousedown.' + this.panoramaId +
+			' touchstart.' + this.panoramaId +
+			' pointerdown.' + this.panoramaId,
+			function (event) { event.stopPropagation(); }
+		);
+
+		$controls.delegate('.panorama_control', 'click.' + this.panoramaId, function (event) {
+			self.handlers.controlClickHandler.call(this, event, self);
+		});
+
+		this.$panoramaWrapper.append($controls);
+		this.__setter('$controls', $controls);
+
+		this.updateControls();
+	};
+	// Panorama.prototype.createControls }}}1
+
+	// Panorama.prototype.updateControls {{{1
+	/**
+	 * Update states of buttons of control bar (toggled and disabled)
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.updateControls = function () {
+		var self = this;
+		var $controls = this.__getter('$controls');
+		if (!$controls) return;
+
+		$controls.children('.panorama_control').each(function () {
+			var $button = $(this);
+			var button = controlButtons[$button.attr('data-control')];
+
+			if (button.isActive) {
+				var active = !!button.isActive(self);
+				$button
+					.toggleClass('panorama_control_active', active)
+					.attr('aria-pressed', active ? 'true' : 'false');
+			}
+
+			if (button.isDisabled) $button.prop('disabled', !!button.isDisabled(self));
+		});
+	};
+	// Panorama.prototype.updateControls }}}1
+
+	// Panorama.prototype.removeControls {{{1
+	/**
+	 * Remove control bar
+	 * (default stylesheet is kept for other panoramas)
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.removeControls = function () {
+		var $controls = this.__getter('$controls');
+		if (!$controls) return;
+
+		$controls.remove();
+		this.__setter('$controls', null);
+	};
+	// Panorama.prototype.removeControls }}}1
+
+	// Panorama.prototype.on {{{1
+	/**
+	 * Events of Panorama:
+	 * <ul>
+	 * <li>"viewchange" ({@link Panorama~view}) - longitude or latitude of camera is changed (checked on each frame);</li>
+	 * <li>"zoomchange" ({@link Panorama~view}) - fov of camera is changed (checked on each frame);</li>
+	 * <li>"interactionstart" ({@link Panorama~interactionEvent}) - user took camera by mouse or touch;</li>
+	 * <li>"interactionend" ({@link Panorama~interactionEvent}) - user released camera;</li>
+	 * <li>"textureload" ({@link Panorama~textureLoadEvent}) - texture of side is loaded;</li>
+	 * <li>"progress" ({@link Panorama~loadProgress}) - state of loading of any side is changed;</li>
+	 * <li>"tileerror" ({@link Panorama~tileErrorEvent}) - image of tile cannot be loaded (side keeps lower level);</li>
+	 * <li>"fullscreenchange" ({@link Panorama~fullscreenEvent}) - fullscreen mode is entered or exited;</li>
+	 * <li>"projectionchange" ({@link Panorama~projectionEvent}) - transition to another projection is finished;</li>
+	 * <li>"autorotatechange" ({@link Panorama~autoRotateEvent}) - auto-rotation is turned on or off;</li>
+	 * <li>"deviceorientationerror" (Error) - device orientation mode cannot be enabled
+	 * ({@link Panorama~DeviceOrientationPermissionDenied} or {@link Panorama~DeviceOrientationUnavailable});</li>
+	 * <li>"ready" - all sides is loaded and first frame is drawn (after constructor callback);</li>
+	 * <li>"error" (Error) - exception that is delegated to constructor callback or thrown
+	 * (exception is not thrown if there is any listener of this event);</li>
+	 * <li>"destroy" - instance is destroying.</li>
+	 * </ul>
+	 * Events is also triggered as jQuery events on container
+	 * (handlers without namespace or with any namespace is called,
+	 * for example "viewchange" or "viewchange.panorama"),
+	 * event data is passed as second argument of jQuery handler.
+	 *
+	 * @typedef {Object.<string>} Panorama~interactionEvent
+	 * @prop {string} type Type of input ('mouse', 'touch' or 'pen')
+	 *
+	 * @typedef {Object.<*>} Panorama~textureLoadEvent
+	 * @prop {string} side Name of side
+	 * @prop {string} path Path to loaded image
+	 * @prop {boolean} fallback Loaded image is "fallbackTexture"
+	 *
+	 * @typedef {Object.<boolean>} Panorama~autoRotateEvent
+	 * @prop {boolean} autoRotating Auto-rotation is turned on
+	 *
+	 * @typedef {Object.<string>} Panorama~projectionEvent
+	 * @prop {string} projection Name of current projection
+	 * @prop {string} previous Name of previous projection
+	 *
+	 * @typedef {Object.<*>} Panorama~tileErrorEvent
+	 * @prop {string} side Name of side
+	 * @prop {number} level Level of tile
+	 * @prop {number} x Column of tile
+	 * @prop {number} y Row of tile
+	 * @prop {string} path Path to image of tile
+	 */
+	/**
+	 * @callback Panorama~eventListener
+	 * @param {*} [data] Event data
+	 * @this {Panorama} Instance of Panorama
+	 */
+	/**
+	 * Add listener of event
+	 *
+	 * @memberOf Panorama
+	 * @param {string} event Event name
+	 * @param {Panorama~eventListener} fn Listener
+	 * @public
+	 * @static
+	 * @exception {Panorama~IncorrectArgument}
+	 * @returns {Panorama} Instance of Panorama (for chaining)
+	 */
+	Panorama.prototype.on = function (event, fn) {
+		return this.addListener(event, fn, false);
+	};
+	// Panorama.prototype.on }}}1
+
+	// Panorama.prototype.once {{{1
+	/**
+	 * Add listener of event that will be removed after first call
+	 *
+	 * @memberOf Panorama
+	 * @param {string} event Event name
+	 * @param {Panorama~eventListener} fn Listener
+	 * @public
+	 * @static
+	 * @exception {Panorama~IncorrectArgument}
+	 * @returns {Panorama} Instance of Panorama (for chaining)
+	 */
+	Panorama.prototype.once = function (event, fn) {
+		return this.addListener(event, fn, true);
+	};
+	// Panorama.prototype.once }}}1
+
+	// Panorama.prototype.addListener {{{1
+	/**
+	 * Add listener of event (helper of "on" and "once")
+	 *
+	 * @memberOf Panorama
+	 * @param {string} event Event name
+	 * @param {Panorama~eventListener} fn Listener
+	 * @param {boolean} once Remove listener after first call
+	 * @protected
+	 * @static
+	 * @exception {Panorama~IncorrectArgument}
+	 * @returns {Panorama} Instance of Panorama (for chaining)
+	 */
+	Panorama.prototype.addListener = function (event, fn, once) {
+		if ($.type(event) !== 'string' || $.type(fn) !== 'function')
+			throw new this.exceptions.IncorrectArgument('Incorrect arguments of event listener');
+
+		var listeners = this.__getter('listeners');
+		if (!(event in listeners)) listeners[event] = [];
+		listeners[event].push({ fn: fn, once: once });
+
+		return this;
+	};
+	// Panorama.prototype.addListener }}}1
+
+	// Panorama.prototype.off {{{1
+	/**
+	 * Remove listener of event
+	 *
+	 * @memberOf Panorama
+	 * @param {string} event Event name
+	 * @param {Panorama~eventListener} [fn] Listener (all listeners of event if not set)
+	 * @public
+	 * @static
+	 * @returns {Panorama} Instance of Panorama (for chaining)
+	 */
+	Panorama.prototype.off = function (event, fn) {
+		var listeners = this.__getter('listeners');
+		if (!(event in listeners)) return this;
+
+		if (fn === undefined) {
+			delete listeners[event];
+		} else {
+			listeners[event] = $.grep(listeners[event], function (listener) {
+				return listener.fn !== fn;
+			});
+		}
+
+		return this;
+	};
+	// Panorama.prototype.off }}}1
+
+	// Panorama.prototype.emit {{{1
+	/**
+	 * Call listeners of event and trigger jQuery event on container
+	 *
+	 * @memberOf Panorama
+	 * @param {string} event Event name
+	 * @param {*} [data] Event data
+	 * @protected
+	 * @static
+	 */
+	Panorama.prototype.emit = function (event, data) {
+		var self = this;
+		var listeners = this.__getter('listeners');
+
+		if (event in listeners) {
+			$.each(listeners[event].slice(0), function (i, listener) {
+				if (listener.once) self.off(event, listener.fn);
+				listener.fn.call(self, data);
+			});
+		}
+
+		// handlers with any namespace (or without it) is called
+		if (this.$container) this.$container.triggerHandler(event, [data]);
+	};
+	// Panorama.prototype.emit }}}1
+
+	// Panorama.prototype.destroy {{{1
+	/**
+	 * Destroy the constructor instance
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @static
+	 */
+	Panorama.prototype.destroy = function () {
+		var self = this;
+
+		if (this.destroyed) return;
+		this.destroyed = true;
+
+		// instance could be failed before container is taken
+		// (empty or belongs to other panorama)
+		var ownContainer = !!this.$container &&
+			this.$container.data('panorama') === this;
+
+		this.emit('destroy');
+
+		this.__setter('loopActive', false); // nothing is drawn while destroying
+		this.stopAnimation();
+
+		$.each((this.__getter('hotspots') || []).slice(0), function (i, hotspot) {
+			self.removeHotspot(hotspot.id);
+		});
+
+		if (this.__getter('tiles')) {
+			$.each(this.__getter('tiles'), function (key) {
+				self.removeTile(key);
+			});
+		}
+
+		clearTimeout(this.__getter('announceTimer'));
+		clearTimeout(this.__getter('urlTimer'));
+
+		if (this.__getter('frameRequest') !== null) {
+			cancelAnimationFrame(this.__getter('frameRequest'));
+		}
+		if (this.__getter('intersectionObserver')) {
+			this.__getter('intersectionObserver').disconnect();
+		}
+		if (this.__getter('resizeObserver')) {
+			this.__getter('resizeObserver').disconnect();
+		}
+		clearInterval(this.__getter('resizeTimer'));
+		this.releaseRenderer();
+
+		if (this.__getter('fullscreen') === 'native') exitFullscreen();
+		if (this.__getter('fullscreen') !== null) this.restoreContainerStyle();
+
+		this.disableDeviceOrientation();
+		this.setStereo(false);
+		this.stopProjectionTransition();
+		this.disposeProjectionPass();
+		this.removeControls();
+
+		if (this.panoramaId) {
+			$(window).unbind('.' + this.panoramaId);
+			$(document).unbind('.' + this.panoramaId);
+		}
+
+		if (ownContainer) {
+			// restore original accessibility attributes
+			$.each(this.__getter('containerAttrs') || {}, function (name, value) {
+				if (value === undefined) {
+					self.$container.removeAttr(name);
+				} else {
+					self.$container.attr(name, value);
+				}
+			});
+
+			if (this.__getter('pointers')) {
+				this.$container.get(0).style.touchAction = this.__getter('touchAction');
+			}
+
+			this.$container.unbind('.' + this.panoramaId);
+			if (this.$panoramaWrapper) this.$panoramaWrapper.remove();
+			this.$container.removeData('panorama');
+		}
+
+		// cleanup protected instance variables
+		this.$container = undefined;
+		this.$panoramaWrapper = undefined;
+		this.params = undefined;
+		this.panoramaId = undefined;
+		this.resizeHandlerWrapper = undefined;
+		this.lastAnimationUpdate = undefined;
+
+		// cleanup private variables
+		this.__destroy();
+
+		this.__destroy = undefined;
+		this.__getter = undefined;
+		this.__setter = undefined;
+	};
+	// Panorama.prototype.destroy }}}1
+
+	// Panorama.prototype.makeError {{{1
+	/**
+	 * Throw error or delegate to callback
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 * @param {Error} exception
+	 * @exception {Error} Any exception that in "exception" argument
+	 * @returns {boolean} Returns true or throws exception
+	 */
+	Panorama.prototype.makeError = function (exception) {
+		var self = this;
+		var handled = 'error' in this.__getter('listeners');
+
+		if (this.__getter('readyDeferred').state() === 'pending')
+			this.__getter('readyDeferred').rejectWith(this, [exception]);
+
+		this.emit('error', exception);
+
+		if (this.__getter('callback')) {
+			setTimeout(function () {
+				if (self.destroyed) return;
+				self.__getter('callback').call(self, exception);
+				self.destroy();
+			}, 1);
+			return true;
+		}
+		if (handled) return true;
+		throw exception;
+	};
+	// Panorama.prototype.makeError }}}1
+
+	// Panorama.prototype.makeAsyncError {{{1
+	/**
+	 * Report error of asynchronous loading (never throws).
+	 * Error is reported once: it is ignored if instance is ready,
+	 * already failed or destroyed.
+	 * Ready promise is rejected, "error" is emitted
+	 * and constructor callback is called before destroying.
+	 *
+	 * @memberOf Panorama
+	 * @protected
+	 * @static
+	 * @param {Error} exception
+	 * @returns {boolean} false if error is ignored
+	 */
+	Panorama.prototype.makeAsyncError = function (exception) {
+		var self = this;
+
+		if (this.destroyed) return false;
+		if (this.__getter('readyDeferred').state() !== 'pending') return false;
+
+		this.__getter('readyDeferred').rejectWith(this, [exception]);
+		this.emit('error', exception);
+
+		if (this.__getter('callback')) {
+			setTimeout(function () {
+				if (self.destroyed) return;
+				self.__getter('callback').call(self, exception);
+				self.destroy();
+			}, 1);
+		}
+
+		return true;
+	};
+	// Panorama.prototype.makeAsyncError }}}1
+
+	// Panorama.autoInit {{{1
+	/**
+	 * Attributes that mark container for {@link Panorama.autoInit}
+	 * (panorama must have a source of images)
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @type {Array.<string>}
+	 * @static
+	 */
+	Panorama.autoInitAttributes = [
+		'data-panorama-code',
+		'data-panorama-img-path-mask',
+		'data-panorama-side-textures',
+		'data-panorama-equirectangular',
+		'data-panorama-cube-image'
+	];
+
+	/**
+	 * Aliases of parameters in data-attributes (for short attributes)
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @type {Object.<string>}
+	 * @static
+	 */
+	Panorama.autoInitAliases = {
+		code: 'panoramaCode',
+		autorotate: 'autoRotate'
+	};
+
+	/**
+	 * Get parameters of Panorama from "data-panorama-*" attributes of element.
+	 * Attribute name is parameter name in lower case with hyphens
+	 * ("data-panorama-img-path-mask" is "imgPathMask"),
+	 * values is parsed by jQuery (JSON, numbers and booleans).
+	 *
+	 * @memberOf Panorama
+	 * @param {jQuery|DOM} $element
+	 * @public
+	 * @static
+	 * @returns {Panorama~paramsType}
+	 */
+	Panorama.paramsFromData = function ($element) {
+		var params = {};
+
+		$.each($($element).data(), function (key, value) {
+			var match = key.match(/^panorama([A-Z].*)$/);
+			if (!match) return;
+
+			var name = match[1].charAt(0).toLowerCase() + match[1].slice(1);
+			params[Panorama.autoInitAliases[name] || name] = value;
+		});
+
+		return params;
+	};
+
+	/**
+	 * @callback Panorama~autoInitCallback
+	 * @param {Error|Null} err Exception instance or null if panorama is ready
+	 * (panorama is destroyed on error)
+	 * @param {DOM} element Container of panorama
+	 * @this {Panorama} Instance of Panorama
+	 */
+	/**
+	 * @typedef Panorama~autoInitController
+	 * @type {Object.<*>}
+	 * @prop {Array.<Panorama>} instances Created panoramas (readonly)
+	 * @prop {function} scan Create panoramas for new containers immediately
+	 * (in root or in elements from first argument)
+	 * @prop {function} stop Stop watching for changes of DOM
+	 * (instances is destroyed too if first argument is true)
+	 */
+	/**
+	 * Create panoramas for all elements with "data-panorama-*" attributes
+	 * (see {@link Panorama.autoInitAttributes} and {@link Panorama.paramsFromData})
+	 * and watch for added and removed elements (by MutationObserver)
+	 * to create and destroy panoramas automatically.
+	 *
+	 * @memberOf Panorama
+	 * @param {jQuery|string|DOM} [root=document] Element where containers is searched
+	 * @param {Panorama~autoInitCallback} [callback] Callback of each panorama
+	 * @public
+	 * @static
+	 * @returns {Panorama~autoInitController}
+	 */
+	Panorama.autoInit = function (root, callback) {
+		var $root = $(root || document);
+		var selector = $.map(Panorama.autoInitAttributes, function (name) {
+			return '[' + name + ']';
+		}).join(',');
+		var observer = null;
+
+		var controller = {
+			instances: [],
+
+			scan: function (nodes) {
+				$(nodes || $root).find(selector).addBack(selector).each(function () {
+					var element = this;
+					var $element = $(this);
+
+					// also failed containers is not initialized again
+					if (
+						$element.data('autoInitPanorama') ||
+						$element.data('panorama') ||
+						$element.data('panoramaTour')
+					) return;
+					$element.data('autoInitPanorama', true);
+
+					var failed = false;
+					var panorama = new Panorama(
+						$element, Panorama.paramsFromData($element),
+						function (err) {
+							var index = $.inArray(this, controller.instances);
+
+							if (err) {
+								failed = true;
+								if (index > -1) controller.instances.splice(index, 1);
+							} else {
+								this.animationLoop();
+							}
+
+							if (callback) callback.call(this, err, element);
+						}
+					);
+
+					// container could be initialized again after destroying
+					// (but not after failure)
+					panorama.on('destroy', function () {
+						var index = $.inArray(panorama, controller.instances);
+						if (index > -1) controller.instances.splice(index, 1);
+
+						if (!failed) $element.removeData('autoInitPanorama');
+					});
+
+					// failed in constructor (callback is called later)
+					if (panorama.ready.state() === 'rejected') {
+						failed = true;
+						return;
+					}
+
+					controller.instances.push(panorama);
+				});
+			},
+
+			stop: function (destroyInstances) {
+				if (observer) observer.disconnect();
+				observer = null;
+
+				if (destroyInstances) {
+					$.each(controller.instances.splice(0), function (i, panorama) {
+						if (!panorama.destroyed) panorama.destroy();
+					});
+				}
+			}
+		};
+
+		// destroy panoramas of containers inside of removed element
+		// (element that is moved to other place is kept)
+		function cleanup(node) {
+			$.each(controller.instances.slice(0), function (i, panorama) {
+				if (panorama.destroyed) return;
+
+				var container = panorama.$container.get(0);
+				if (
+					(container === node || $.contains(node, container)) &&
+					!$.contains(document.documentElement, container)
+				) {
+					panorama.destroy(); // removed from instances by "destroy" listener
+				}
+			});
+		}
+
+		controller.scan();
+
+		if (window.MutationObserver) {
+			// only added and removed elements is checked
+			// (not whole root, text of live regions is changed often)
+			observer = new MutationObserver(function (mutations) {
+				var added = [];
+
+				$.each(mutations, function (i, mutation) {
+					$.each(mutation.removedNodes, function (j, node) {
+						if (node.nodeType === 1) cleanup(node);
+					});
+					$.each(mutation.addedNodes, function (j, node) {
+						if (node.nodeType === 1) added.push(node);
+					});
+				});
+
+				added = $.grep(added, function (node) {
+					return $.contains(document.documentElement, node);
+				});
+				if (added.length > 0) controller.scan(added);
+			});
+			$root.each(function () {
+				observer.observe(this, { childList: true, subtree: true });
+			});
+		}
+
+		return controller;
+	};
+	// Panorama.autoInit }}}1
+
+	// exceptions {{{1
+
+	/**
+	 * Panorama exceptions
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @type {Object.<Error>}
+	 * @prop {Panorama~IncorrectArgument} IncorrectArgument Incorrect argument of constructor
+	 * @prop {Panorama~RequiredParameter} RequiredParameter Required parameters: "panoramaCode" and "imgPathMask" both or "sideTextures" or "equirectangular"
+	 * @prop {Panorama~RequiredSideTexture} RequiredSideTexture No side texture
+	 * @prop {Panorama~NoContainer} NoContainer Attempt to create instance of Panorama without container
+	 * @prop {Panorama~ContainerZeroSize} ContainerZeroSize Deprecated, not thrown anymore
+	 * (container of zero size is drawn when it gets size)
+	 * @prop {Panorama~SinglePanoramaPerContainer} SinglePanoramaPerContainer Attempt to create more than one panoramas in same container
+	 * @prop {Panorama~UnknownPrivateVariableName} UnknownPrivateVariableName Unknown name of private variable
+	 * @prop {Panorama~HandlerCannotFoundThePanorama} HandlerCannotFoundThePanorama Panorama removed but handler still triggers
+	 * @prop {Panorama~HotspotAlreadyExists} HotspotAlreadyExists Hotspot with same identificator already exists
+	 * @prop {Panorama~UnknownScene} UnknownScene Scene of the tour is not found
+	 * @prop {Panorama~CubeLayoutMismatch} CubeLayoutMismatch Aspect ratio of cube image does not match cube layout
+	 * @prop {Panorama~AnimationInterrupted} AnimationInterrupted Animation of camera is interrupted
+	 * @prop {Panorama~TextureLoadError} TextureLoadError Cannot load texture of side
+	 * @prop {Panorama~DeviceOrientationPermissionDenied} DeviceOrientationPermissionDenied Access to device orientation is denied
+	 * @prop {Panorama~DeviceOrientationUnavailable} DeviceOrientationUnavailable Device orientation sensor is unavailable
+	 * @prop {Panorama~StereoNotSupported} StereoNotSupported Stereo rendering requires WebGL
+	 * @prop {Panorama~ProjectionNotSupported} ProjectionNotSupported Non-rectilinear projections requires WebGL
+	 * @prop {Panorama~SnapshotError} SnapshotError Cannot get image data of panorama
+	 * @static
+	 * @readOnly
+	 */
+	Panorama.exceptions = {};
 
-			// default values
+	/** @typedef {Error} Panorama~IncorrectArgument */
+	Panorama.exceptions.IncorrectArgument = function (message) {
+		Error.call(this);
+		this.name = 'IncorrectArgument';
+		this.message = message || 'Incorrect argument of constructor';
+	};
 
-			panoramaCode: null,
-			imgPathMask: null,
-			sideNames: sides.slice(0), // clone
+	/** @typedef {Error} Panorama~RequiredParameter */
+	Panorama.exceptions.RequiredParameter = function (message) {
+		Error.call(this);
+		this.name = 'RequiredParameter';
+		this.message = message || 'Required parameters: "panoramaCode" and "imgPathMask" both or "sideTextures" or "equirectangular"';
+	};
 
-			/**
-			 * @typedef Panorama~sideTextures
-			 * @type {Object.<string>}
-			 * @prop {string} right Example: '/panorama/right.png'
-			 * @prop {string} left Example: '/panorama/right.png'
-			 * @prop {string} top Example: '/panorama/top.png'
-			 * @prop {string} bottom Example: '/panorama/bottom.png'
-			 * @prop {string} back Example: '/panorama/back.png'
-			 * @prop {string} front Example: '/panorama/front.png'
-			 */
-			sideTextures: null,
+	/** @typedef {Error} Panorama~RequiredSideTexture */
+	Panorama.exceptions.RequiredSideTexture = function (message) {
+		Error.call(this);
+		this.name = 'RequiredSideTexture';
+		this.message = message || 'No side texture';
+	};
 
-			startZoom: 0,
-			minFov: 10,
-			maxFov: 75,
-			fovMouseStep: 2.0,
-			mouseWheelRequired: false,
-			fpsLimit: 30,
-			onlyWebGL: false
+	/** @typedef {Error} Panorama~NoContainer */
+	Panorama.exceptions.NoContainer = function (message) {
+		Error.call(this);
+		this.name = 'NoContainer';
+		this.message = message || 'Attempt to create instance of Panorama without container';
+	};
 
-		}, params);
-		// this.params }}}1
+	/** @typedef {Error} Panorama~ContainerZeroSize */
+	Panorama.exceptions.ContainerZeroSize = function (message) {
+		Error.call(this);
+		this.name = 'ContainerZeroSize';
+		this.message = message || 'jQuery object of container has no DOM-elements';
+	};
 
-		// check for required parameters {{{1
-		if (this.params.sideTextures === null) {
-			if (this.params.panoramaCode === null || this.params.imgPathMask === null) {
-				this.makeError(new this.exceptions.RequiredParameter());
-				return false;
-			}
-		} else {
-			if (!sides.every(function (side) {
-				if (!(side in self.params.sideTextures)) {
-					self.makeError(
-						new self.exceptions
-							.RequiredSideTexture('No '+side+' side texture')
-					);
-					return false;
-				}
-				return true;
-			})) return false;
-		}
-		// check for required parameters }}}1
+	/** @typedef {Error} Panorama~SinglePanoramaPerContainer */
+	Panorama.exceptions.SinglePanoramaPerContainer = function (message) {
+		Error.call(this);
+		this.name = 'SinglePanoramaPerContainer';
+		this.message = message || 'Attempt to create more than one panoramas in same container';
+	};
 
-		// container initialization {{{1
-		/**
-		 * Container of the panorama
-		 *
-		 * @type jQuery
-		 * @public
-		 * @instance
-		 * @readOnly
-		 */
-		this.$container = $($selector);
+	/** @typedef {Error} Panorama~UnknownPrivateVariableName */
+	Panorama.exceptions.UnknownPrivateVariableName = function (message, varName) {
+		Error.call(this);
+		this.name = 'UnknownPrivateVariableName';
+		this.message = message || 'Unknown name of private variable'+
+			((varName) ? ' ("'+varName+'")' : '');
+	};
 
-		if (this.$container.size() < 1) {
-			this.makeError(new this.exceptions.NoContainer());
-			return false;
+	/** @typedef {Error} Panorama~HandlerCannotFoundThePanorama */
+	Panorama.exceptions.HandlerCannotFoundThePanorama = function (message) {
+		Error.call(this);
+		this.name = 'HandlerCannotFoundThePanorama';
+		this.message = message || 'Panorama removed but handler still triggers';
+	};
+
+	/** @typedef {Error} Panorama~HotspotAlreadyExists */
+	Panorama.exceptions.HotspotAlreadyExists = function (message, id) {
+		Error.call(this);
+		this.name = 'HotspotAlreadyExists';
+		this.message = message || 'Hotspot with same identificator already exists'+
+			((id) ? ' ("'+id+'")' : '');
+	};
+
+	/** @typedef {Error} Panorama~UnknownScene */
+	Panorama.exceptions.UnknownScene = function (message, code) {
+		Error.call(this);
+		this.name = 'UnknownScene';
+		this.message = message || 'Scene of the tour is not found'+
+			((code) ? ' ("'+code+'")' : '');
+	};
+
+	/** @typedef {Error} Panorama~CubeLayoutMismatch */
+	Panorama.exceptions.CubeLayoutMismatch = function (message) {
+		Error.call(this);
+		this.name = 'CubeLayoutMismatch';
+		this.message = message || 'Aspect ratio of cube image does not match cube layout';
+	};
+
+	/** @typedef {Error} Panorama~AnimationInterrupted */
+	Panorama.exceptions.AnimationInterrupted = function (message) {
+		Error.call(this);
+		this.name = 'AnimationInterrupted';
+		this.message = message || 'Animation of camera is interrupted';
+	};
+
+	/**
+	 * @typedef {Error} Panorama~TextureLoadError
+	 * @prop {string|Null} side Name of side (null if several sides is failed)
+	 * @prop {string|Null} url Path to image that cannot be loaded (null if several images is failed)
+	 * @prop {Array.<string>} sides Names of all failed sides
+	 * @prop {Array.<string>} urls Paths to all images that cannot be loaded
+	 */
+	Panorama.exceptions.TextureLoadError = function (message, side, url, sides, urls) {
+		Error.call(this);
+		this.name = 'TextureLoadError';
+		this.side = side || null;
+		this.url = url || null;
+		this.sides = sides || ((side) ? [side] : []);
+		this.urls = urls || ((url) ? [url] : []);
+		this.message = message || 'Cannot load texture of ' +
+			((side) ? side + ' side' : 'sides') +
+			((this.urls.length > 0) ? ' ("' + this.urls.join('", "') + '")' : '');
+	};
+
+	/** @typedef {Error} Panorama~DeviceOrientationPermissionDenied */
+	Panorama.exceptions.DeviceOrientationPermissionDenied = function (message) {
+		Error.call(this);
+		this.name = 'DeviceOrientationPermissionDenied';
+		this.message = message || 'Access to device orientation is denied';
+	};
+
+	/** @typedef {Error} Panorama~DeviceOrientationUnavailable */
+	Panorama.exceptions.DeviceOrientationUnavailable = function (message) {
+		Error.call(this);
+		this.name = 'DeviceOrientationUnavailable';
+		this.message = message || 'Device orientation sensor is unavailable';
+	};
+
+	/** @typedef {Error} Panorama~StereoNotSupported */
+	Panorama.exceptions.StereoNotSupported = function (message) {
+		Error.call(this);
+		this.name = 'StereoNotSupported';
+		this.message = message || 'Stereo rendering requires WebGL';
+	};
+
+	/** @typedef {Error} Panorama~ProjectionNotSupported */
+	Panorama.exceptions.ProjectionNotSupported = function (message) {
+		Error.call(this);
+		this.name = 'ProjectionNotSupported';
+		this.message = message || 'Non-rectilinear projections requires WebGL';
+	};
+
+	/** @typedef {Error} Panorama~SnapshotError */
+	Panorama.exceptions.SnapshotError = function (message) {
+		Error.call(this);
+		this.name = 'SnapshotError';
+		this.message = message || 'Cannot get image data of panorama' +
+			' (cross-origin images must be loaded with CORS)';
+	};
+
+	/** @typedef {Error} Panorama~NoSupportedRenderer */
+	Panorama.exceptions.NoSupportedRenderer = function (message) {
+		Error.call(this);
+		this.name = 'NoSupportedRenderer';
+		this.message = message || 'Your browser must support WebGL or Canvas';
+	};
+
+	/** @typedef {Error} Panorama~RendererInitError */
+	Panorama.exceptions.RendererInitError = function (message) {
+		Error.call(this);
+		this.name = 'RendererInitError';
+		this.message = message || 'Cannot initialize THREE-renderer';
+	};
+
+	for (var key in Panorama.exceptions) {
+		Panorama.exceptions[key].prototype = inherit(Error.prototype);
+	}
+
+	// Provide exceptions to instance of constructor too
+	Panorama.prototype.exceptions = Panorama.exceptions;
+
+	// exceptions }}}1
+
+	// handlers {{{1
+
+	/**
+	 * Panorama handlers
+	 *
+	 * @memberOf Panorama
+	 * @public
+	 * @type {Object.<function>}
+	 * @prop {Panorama~resizeHandler} resizeHandler
+	 * @prop {Panorama~mouseDownHandler} mouseDownHandler
+	 * @prop {Panorama~mouseMoveHandler} mouseMoveHandler
+	 * @prop {Panorama~mouseUpHandler} mouseUpHandler
+	 * @prop {Panorama~mouseWheelHandler} mouseWheelHandler
+	 * @prop {Panorama~touchStartHandler} touchStartHandler
+	 * @prop {Panorama~touchMoveHandler} touchMoveHandler
+	 * @prop {Panorama~touchEndHandler} touchEndHandler
+	 * @prop {Panorama~keyDownHandler} keyDownHandler
+	 * @prop {Panorama~pointerDownHandler} pointerDownHandler
+	 * @prop {Panorama~pointerMoveHandler} pointerMoveHandler
+	 * @prop {Panorama~pointerUpHandler} pointerUpHandler
+	 * @prop {Panorama~deviceOrientationHandler} deviceOrientationHandler
+	 * @prop {Panorama~hashChangeHandler} hashChangeHandler
+	 * @prop {Panorama~fullscreenChangeHandler} fullscreenChangeHandler
+	 * @prop {Panorama~visibilityChangeHandler} visibilityChangeHandler
+	 * @prop {Panorama~controlClickHandler} controlClickHandler
+	 * @static
+	 * @readOnly
+	 */
+	Panorama.handlers = {};
+
+	/**
+	 * @callback Panorama~resizeHandler
+	 * @param {Panorama} panorama Instance of Panorama
+	 * @this {window}
+	 */
+	Panorama.handlers.resizeHandler = function (panorama) {
+		var width = panorama.$container.width();
+		var height = panorama.$container.height();
+		var size = panorama.__getter('containerSize');
+
+		if (width === size.width && height === size.height) return;
+		panorama.__setter('containerSize', { width: width, height: height });
+
+		// hidden container keeps previous aspect
+		if (height > 0) {
+			panorama.__getter('camera').aspect = width / height;
+			panorama.__getter('camera').updateProjectionMatrix();
 		}
-		if (this.$container.width() < 1 || this.$container.height() < 1) {
-			this.makeError(new this.exceptions.ContainerZeroSize());
-			return false;
+
+		panorama.updateRendererSize();
+	};
+
+	/**
+	 * @callback Panorama~visibilityChangeHandler
+	 * @param {Panorama} panorama Instance of Panorama
+	 * @this {document}
+	 */
+	Panorama.handlers.visibilityChangeHandler = function (panorama) {
+		panorama.__setter('hidden', document.hidden);
+		panorama.invalidate(); // view could be changed while loop is suspended
+	};
+
+	/**
+	 * @callback Panorama~deviceOrientationHandler
+	 * @param {jQuery.Event} event "deviceorientation" event
+	 * (synthetic event could be triggered on window with "alpha", "beta" and "gamma")
+	 * @param {Panorama} panorama Instance of Panorama
+	 * @this {window}
+	 */
+	Panorama.handlers.deviceOrientationHandler = function (event, panorama) {
+		var originalEvent = event.originalEvent || event;
+		var screenOrientation = 0;
+
+		if (window.screen && window.screen.orientation) {
+			screenOrientation = window.screen.orientation.angle;
+		} else if (window.orientation !== undefined) {
+			screenOrientation = window.orientation;
 		}
 
-		if (this.$container.data('panorama')) {
-			this.makeError(new this.exceptions.SinglePanoramaPerContainer());
-			return false;
+		panorama.setDeviceOrientation(
+			originalEvent.alpha, originalEvent.beta, originalEvent.gamma,
+			screenOrientation || 0
+		);
+	};
+
+	/**
+	 * @callback Panorama~hashChangeHandler
+	 * @param {Panorama} panorama Instance of Panorama
+	 * @this {window}
+	 */
+	Panorama.handlers.hashChangeHandler = function (panorama) {
+		var value = getHashParam(panorama.params.syncUrlKey);
+
+		// written by this instance
+		if (value === null || value === panorama.__getter('urlValue')) return;
+
+		panorama.__setter('urlValue', value);
+		panorama.restoreView(value);
+	};
+
+	/**
+	 * @callback Panorama~fullscreenChangeHandler
+	 * @param {Panorama} panorama Instance of Panorama
+	 * @this {document}
+	 */
+	Panorama.handlers.fullscreenChangeHandler = function (panorama) {
+		if (fullscreenElement() === panorama.$container.get(0)) {
+			panorama.setFullscreenState('native');
+		} else if (panorama.__getter('fullscreen') === 'native') {
+			panorama.setFullscreenState(null);
 		}
-		// container initialization }}}1
+	};
 
-		/**
-		 * Unique panorama identificator.
-		 * Value is automatically generated when created constructor instance.
-		 * Will be used for bind handlers.
-		 *
-		 * @type string
-		 * @public
-		 * @instance
-		 * @readOnly
-		 */
-		this.panoramaId = 'panorama_id_' + (new Date()).getTime() +
-			Math.round(Math.random() * 1000000000);
+	/**
+	 * @callback Panorama~controlClickHandler
+	 * @param {jQuery.Event} event
+	 * @param {Panorama} panorama Instance of Panorama
+	 * @this {DOM} Button of control bar
+	 */
+	Panorama.handlers.controlClickHandler = function (event, panorama) {
+		event.preventDefault();
 
-		private.camera = new THREE.PerspectiveCamera(
-			this.zoom(self.params.startZoom, true),
-			this.$container.width() / this.$container.height(),
-			1, 1000
+		controlButtons[$(this).attr('data-control')].action(panorama);
+		panorama.updateControls();
+	};
+
+	// Handler helper to get touches list of jQuery event
+	function getTouches(event) {
+		return (event.originalEvent || event).touches;
+	}
+
+	// Handler helper to get distance between first two touches
+	function touchesDistance(touches) {
+		return Math.sqrt(
+			Math.pow(touches[0].pageX - touches[1].pageX, 2) +
+			Math.pow(touches[0].pageY - touches[1].pageY, 2)
 		);
-		private.scene = new THREE.Scene();
+	}
+
+	// Handler helper to get list of active pointers positions
+	function pointersList(pointers) {
+		return $.map(pointers, function (pointer) {
+			return pointer;
+		});
+	}
+
+	// Handler helper to get panorama by container (this)
+	function getPanorama() {
+		var panorama = $(this).data('panorama');
+		if (!panorama)
+			throw new Panorama.exceptions.HandlerCannotFoundThePanorama();
 
-		private.$texturePlaceholder = $('<canvas/>');
-		private.$texturePlaceholder.width(1200);
-		private.$texturePlaceholder.height(1200);
+		return panorama;
+	}
 
-		private.textureContext = private.$texturePlaceholder.get(0).getContext('2d');
-		private.textureContext.fillStyle = private.fillColor;
-		private.textureContext.fillRect(
-			0, 0,
-			private.$texturePlaceholder.width(),
-			private.$texturePlaceholder.height()
-		);
+	/**
+	 * @typedef {function} Panorama~mouseDownHandler
+	 * @this {DOM} $container
+	 */
+	Panorama.handlers.mouseDownHandler = function (event) {
+		var panorama = getPanorama.call(this);
 
-		private.materials = [];
-		if (this.params.sideTextures === null) {
-			this.params.sideNames.every(function (side) {
-				private.materials.push(
-					self.loadTexture(
-						self.params.imgPathMask
-							.replace(/#PANORAMA_CODE#/g, self.params.panoramaCode)
-							.replace(/#SIDE#/g, side)
-					)
-				);
-				return true;
-			});
-		} else {
-			sides.every(function (side) {
-				private.materials.push(self.loadTexture(
-					self.params.sideTextures[side]
-				));
-				return true;
-			});
-		}
+		// focus is not moved by default because of "return false"
+		if (panorama.params.keyboard.enabled) this.focus();
 
-		private.geometry = new THREE.BoxGeometry(300, 300, 300, 7, 7, 7);
-		private.materialToMesh = new THREE.MeshFaceMaterial(private.materials);
+		panorama.stopAnimation();
+		panorama.__setter('holdByUser', true);
+		panorama.emit('interactionstart', { type: 'mouse' });
+		panorama.__setter('mouseDownState', {
+			clientX: event.clientX,
+			clientY: event.clientY,
+			lon: panorama.__getter('lon'),
+			lat: panorama.__getter('lat')
+		});
+		panorama.startVelocityTracking();
 
-		private.mesh = new THREE.Mesh(private.geometry, private.materialToMesh);
-		private.mesh.scale.x = -1;
-		private.scene.add(private.mesh);
+		return false;
+	};
 
-		private.target = new THREE.Vector3();
+	/**
+	 * @typedef {function} Panorama~mouseMoveHandler
+	 * @this {DOM} $container
+	 */
+	Panorama.handlers.mouseMoveHandler = function (event) {
+		var panorama = getPanorama.call(this);
 
-		// renderer init {{{1
-		if (Modernizr.webgl) {
-			try {
-				private.renderer = new THREE.WebGLRenderer({ alpha: true });
-			} catch (e) {
-				// chromium bug
-				if (Modernizr.canvas && !this.params.onlyWebGL) {
-					try {
-						private.renderer = new THREE.CanvasRenderer({ alpha: true });
-					} catch (err) {
-						self.makeError(new self.exceptions.RendererInitError());
-						return false;
-					}
-				} else {
-					self.makeError(new self.exceptions.NoSupportedRenderer());
-					return false;
-				}
-			} // try-catch
-		} else if (Modernizr.canvas && !this.params.onlyWebGL) {
-			try {
-				private.renderer = new THREE.CanvasRenderer({ alpha: true });
-			} catch (e) {
-				self.makeError(new self.exceptions.RendererInitError());
-				return false;
-			}
-		} else {
-			self.makeError(new self.exceptions.NoSupportedRenderer());
-			return false;
+		if (panorama.__getter('holdByUser') === true && panorama.__getter('mouseDownState')) {
+			panorama.__setter(
+				'lon',
+				(panorama.__getter('mouseDownState').clientX - event.clientX) *
+					0.1 + panorama.__getter('mouseDownState').lon
+			);
+			panorama.__setter(
+				'lat',
+				(event.clientY - panorama.__getter('mouseDownState').clientY) *
+					0.1 + panorama.__getter('mouseDownState').lat
+			);
+			panorama.trackVelocity();
+			panorama.invalidate();
 		}
-		private.renderer.setSize(this.$container.width(), this.$container.height());
-		// renderer init }}}1
 
-		private.renderer.setClearColor(0xffffff, 0);
+		return false;
+	};
 
-		/**
-		 * Time in milliseconds when last animation frame was drawn
-		 *
-		 * @type float
-		 * @public
-		 * @instance
-		 * @readOnly
-		 */
-		this.lastAnimationUpdate = 0.0;
+	/**
+	 * @typedef {function} Panorama~mouseUpHandler
+	 * @this {DOM} $container
+	 */
+	Panorama.handlers.mouseUpHandler = function (event) {
+		var panorama = getPanorama.call(this);
 
-		/**
-		 * Wrapper of the panorama that putted to container of the panorama
-		 *
-		 * @type jQuery
-		 * @public
-		 * @instance
-		 * @readOnly
-		 */
-		this.$panoramaWrapper = $('<div/>').addClass('panorama_wrapper');
+		if (!panorama.__getter('holdByUser')) return false;
 
-		this.$panoramaWrapper.html( private.renderer.domElement );
-		this.$container.append( this.$panoramaWrapper );
+		panorama.__setter('mouseDownState', undefined);
+		panorama.__setter('holdByUser', false);
+		panorama.__setter('interactionEndTime', (new Date()).getTime());
+		panorama.releaseVelocity();
+		panorama.emit('interactionend', { type: 'mouse' });
 
-		this.$container.data('panorama', this);
+		return false;
+	};
 
-		// handlers bindings {{{1
-		/**
-		 * @public
-		 * @instance
-		 * @type function
-		 * @this {window}
-		 */
-		this.resizeHandlerWrapper = function () {
-			self.handlers.resizeHandler.call(this, self);
-		};
+	/**
+	 * @typedef {function} Panorama~mouseWheelHandler
+	 * @this {DOM} $container
+	 */
+	Panorama.handlers.mouseWheelHandler = function (event) {
+		var panorama = getPanorama.call(this);
+		var limits = panorama.getFovLimits();
 
-		$(window).bind(
-			'resize.' + this.panoramaId,
-			this.resizeHandlerWrapper
-		);
+		if (event.deltaY == 1) {
+			if (
+				panorama.__getter('camera').fov - panorama.params.fovMouseStep <
+				limits.minFov
+			) return false;
 
-		/** move camera by mouse */
-		this.$container.bind(
-			'mousedown.' + this.panoramaId,
-			this.handlers.mouseDownHandler
-		);
-		this.$container.bind(
-			'mousemove.' + this.panoramaId,
-			this.handlers.mouseMoveHandler
-		);
-		this.$container.bind(
-			'mouseup.' + this.panoramaId,
-			this.handlers.mouseUpHandler
-		);
+			panorama.__getter('camera').fov -= panorama.params.fovMouseStep;
+			panorama.__getter('camera').updateProjectionMatrix();
+		} else if (event.deltaY == -1) {
+			if (
+				panorama.__getter('camera').fov + panorama.params.fovMouseStep >
+				limits.maxFov
+			) return false;
 
-		/** move camera by touch pad */
-		this.$container.bind(
-			'touchstart.' + this.panoramaId,
-			this.handlers.touchStartHandler
-		);
-		this.$container.bind(
-			'touchmove.' + this.panoramaId,
-			this.handlers.touchMoveHandler
-		);
-		this.$container.bind(
-			'touchend.' + this.panoramaId,
-			this.handlers.touchEndHandler
-		);
-		// handlers bindings }}}1
+			panorama.__getter('camera').fov += panorama.params.fovMouseStep;
+			panorama.__getter('camera').updateProjectionMatrix();
+		}
 
-		if (!private.callback) this.draw(); // draw first frame
+		panorama.invalidate();
 
-		// zoom by mouse scroll {{{1
-		require(['jquery.mousewheel'], function () {
-			self.$container.bind(
-				'mousewheel.' + self.panoramaId,
-				self.handlers.mouseWheelHandler
-			);
+		return false;
+	};
 
-			if (private.callback) {
-				self.draw(); // draw first frame
-				setTimeout(function () { // async
-					private.callback.call(self, null);
-				}, 1);
-			}
-		}, function (err) {
-			if (self.params.mouseWheelRequired) {
-				self.makeError(err);
-				return false;
-			} else {
-				if (private.callback) {
-					self.draw(); // draw first frame
-					setTimeout(function () { // async
-						private.callback.call(self, null);
-					}, 1);
-				}
-			}
-		});
-		// zoom by mouse scroll }}}1
-	}
+	/**
+	 * @typedef {function} Panorama~touchStartHandler
+	 * @this {DOM} $container
+	 */
+	Panorama.handlers.touchStartHandler = function (event) {
+		var panorama = getPanorama.call(this);
+		var touches = getTouches(event);
+
+		panorama.stopAnimation();
+		if (!panorama.__getter('holdByUser'))
+			panorama.emit('interactionstart', { type: 'touch' });
+		panorama.__setter('holdByUser', true);
+		if (touches.length == 1) {
+			panorama.__setter('touchStartState', {
+				pageX: touches[0].pageX,
+				pageY: touches[0].pageY,
+				lon: panorama.__getter('lon'),
+				lat: panorama.__getter('lat')
+			});
+			panorama.__setter('tapState', {
+				pageX: touches[0].pageX,
+				pageY: touches[0].pageY,
+				time: (new Date()).getTime(),
+				moved: false
+			});
+			panorama.startVelocityTracking();
+		} else if (touches.length == 2) {
+			panorama.__setter('touchStartState', undefined);
+			panorama.__setter('tapState', null);
+			panorama.__setter('velocity', null); // no inertia after pinch
+			panorama.pinchStart(touchesDistance(touches));
+		}
+
+		return false;
+	};
 
-	// Panorama.prototype.loadTexture {{{1
 	/**
-	 * Load texture helper
-	 *
-	 * @memberOf Panorama
-	 * @param {string} path Path to texture image file
-	 * @protected
-	 * @static
-	 * @returns {THREE~Texture}
+	 * @typedef {function} Panorama~touchMoveHandler
+	 * @this {DOM} $container
 	 */
-	Panorama.prototype.loadTexture = function (path) {
-		var texture = new THREE.Texture(this.__getter('$texturePlaceholder').get(0));
-		var material = new THREE.MeshBasicMaterial({
-			map: texture,
-			overdraw: true
-		});
+	Panorama.handlers.touchMoveHandler = function (event) {
+		var panorama = getPanorama.call(this);
+		var touches = getTouches(event);
 
-		$('<img/>').load(function () {
-			texture.image = this;
-			texture.needsUpdate = true;
-		}).attr('src', path);
+		if (
+			panorama.__getter('holdByUser') &&
+			touches.length == 1 &&
+			panorama.__getter('touchStartState')
+		) {
+			panorama.__setter(
+				'lon',
+				(panorama.__getter('touchStartState').pageX - touches[0].pageX) *
+					0.1 + panorama.__getter('touchStartState').lon
+			);
+			panorama.__setter(
+				'lat',
+				(touches[0].pageY - panorama.__getter('touchStartState').pageY) *
+					0.1 + panorama.__getter('touchStartState').lat
+			);
+			panorama.trackVelocity();
+			panorama.invalidate();
+
+			var tapState = panorama.__getter('tapState');
+			if (tapState && (
+				Math.abs(touches[0].pageX - tapState.pageX) > 10 ||
+				Math.abs(touches[0].pageY - tapState.pageY) > 10
+			)) {
+				tapState.moved = true;
+			}
+		} else if (
+			panorama.__getter('holdByUser') &&
+			touches.length == 2 &&
+			panorama.__getter('pinchState')
+		) {
+			panorama.pinchMove(touchesDistance(touches));
+		}
 
-		return material;
+		return false;
 	};
-	// Panorama.prototype.loadTexture }}}1
 
-	// Panorama.prototype.zoom {{{1
 	/**
-	 * Set zoom
-	 *
-	 * @memberOf Panorama
-	 * @param {number} percent Percent of zoom
-	 * @param {boolean} [justCalculate=false] Do not set fov to camera, just return new fov value
-	 * @public
-	 * @static
-	 * @returns {number}
+	 * @typedef {function} Panorama~touchEndHandler
+	 * @this {DOM} $container
 	 */
-	Panorama.prototype.zoom = function (percent, justCalculate) {
-		if (percent < 0) percent = 0;
-		if (percent > 100) percent = 100;
-		percent = 100 - percent; // invert value
+	Panorama.handlers.touchEndHandler = function (event) {
+		var panorama = getPanorama.call(this);
+		var touches = getTouches(event);
+		var now = (new Date()).getTime();
 
-		var newFov = Math.round(
-			(percent * (
-				this.params.maxFov - this.params.minFov
-			) / 100) + this.params.minFov
-		);
+		if (!panorama.__getter('holdByUser')) return false;
+
+		// continue dragging by remaining finger from current view (without jump)
+		if (touches.length == 1) {
+			panorama.__setter('pinchState', null);
+			panorama.__setter('touchStartState', {
+				pageX: touches[0].pageX,
+				pageY: touches[0].pageY,
+				lon: panorama.__getter('lon'),
+				lat: panorama.__getter('lat')
+			});
+			panorama.startVelocityTracking();
+			return false;
+		}
 
-		if (!justCalculate) {
-			this.__getter('camera').fov = newFov;
-			this.__getter('camera').updateProjectionMatrix();
+		// continue pinch by remaining fingers
+		if (touches.length == 2) {
+			panorama.pinchStart(touchesDistance(touches));
+			return false;
 		}
 
-		return newFov;
+		if (touches.length > 2) return false;
+
+		panorama.__setter('touchStartState', undefined);
+		panorama.__setter('pinchState', null);
+		panorama.__setter('holdByUser', false);
+		panorama.__setter('interactionEndTime', now);
+		panorama.releaseVelocity();
+		panorama.emit('interactionend', { type: 'touch' });
+
+		panorama.detectDoubleTap(now);
+
+		return false;
 	};
-	// Panorama.prototype.zoom }}}1
 
-	// Panorama.prototype.animationLoop {{{1
 	/**
-	 * Animation loop
-	 *
-	 * @memberOf Panorama
-	 * @public
-	 * @static
+	 * @typedef {function} Panorama~pointerDownHandler
+	 * @this {DOM} $container
 	 */
-	Panorama.prototype.animationLoop = function () {
-		var self = this;
+	Panorama.handlers.pointerDownHandler = function (event) {
+		var panorama = getPanorama.call(this);
+		var originalEvent = event.originalEvent || event;
+		var pointers = panorama.__getter('pointers');
 
-		requestAnimationFrame(function (time) {
-			if (!self.$container) return; // destroyed
+		// only main button of mouse
+		if (originalEvent.pointerType === 'mouse' && originalEvent.button !== 0) return true;
 
-			if (time - self.lastAnimationUpdate >= 1000 / self.params.fpsLimit) {
-				self.draw();
-				self.lastAnimationUpdate = time;
-			}
+		// drag continues outside of container
+		if (this.setPointerCapture) this.setPointerCapture(originalEvent.pointerId);
 
-			self.animationLoop.call(self);
-		});
+		pointers[originalEvent.pointerId] = {
+			pageX: originalEvent.pageX,
+			pageY: originalEvent.pageY
+		};
+		var list = pointersList(pointers);
+
+		if (list.length == 1) {
+			// focus is not moved by default because of "return false"
+			if (panorama.params.keyboard.enabled) this.focus();
+
+			panorama.stopAnimation();
+			panorama.__setter('holdByUser', true);
+			panorama.emit('interactionstart', { type: originalEvent.pointerType });
+			panorama.__setter('pointerDownState', {
+				pageX: originalEvent.pageX,
+				pageY: originalEvent.pageY,
+				lon: panorama.__getter('lon'),
+				lat: panorama.__getter('lat')
+			});
+			panorama.__setter('tapState', (originalEvent.pointerType === 'mouse') ? null : {
+				pageX: originalEvent.pageX,
+				pageY: originalEvent.pageY,
+				time: (new Date()).getTime(),
+				moved: false
+			});
+			panorama.startVelocityTracking();
+		} else if (list.length == 2) {
+			panorama.__setter('pointerDownState', undefined);
+			panorama.__setter('tapState', null);
+			panorama.__setter('velocity', null); // no inertia after pinch
+			panorama.pinchStart(touchesDistance(list));
+		}
+
+		return false;
 	};
-	// Panorama.prototype.animationLoop }}}1
 
-	// Panorama.prototype.draw {{{1
 	/**
-	 * Draw panorama frame
-	 *
-	 * @memberOf Panorama
-	 * @public
-	 * @static
+	 * @typedef {function} Panorama~pointerMoveHandler
+	 * @this {DOM} $container
 	 */
-	Panorama.prototype.draw = function () {
-		if (this.__getter('holdByUser') === false)
-			this.__setter('lon', this.__getter('lon') + 0.1);
+	Panorama.handlers.pointerMoveHandler = function (event) {
+		var panorama = getPanorama.call(this);
+		var originalEvent = event.originalEvent || event;
+		var pointers = panorama.__getter('pointers');
 
-		if (this.__getter('lon') >= 360.0) this.__setter('lon', 0.0);
+		if (!(originalEvent.pointerId in pointers)) return true; // hover
 
-		this.__setter('lat', Math.max(-85.0, Math.min(85.0, this.__getter('lat'))) );
-		this.__setter('phi', THREE.Math.degToRad(90.0 - this.__getter('lat')) );
-		this.__setter('theta', THREE.Math.degToRad(this.__getter('lon')) );
+		pointers[originalEvent.pointerId] = {
+			pageX: originalEvent.pageX,
+			pageY: originalEvent.pageY
+		};
+		var list = pointersList(pointers);
+		var downState = panorama.__getter('pointerDownState');
 
-		this.__getter('target').x = 500.0 * Math.sin(this.__getter('phi')) * Math.cos(this.__getter('theta'));
-		this.__getter('target').y = 500.0 * Math.cos(this.__getter('phi'));
-		this.__getter('target').z = 500.0 * Math.sin(this.__getter('phi')) * Math.sin(this.__getter('theta'));
+		if (list.length == 1 && downState) {
+			panorama.__setter(
+				'lon',
+				(downState.pageX - originalEvent.pageX) * 0.1 + downState.lon
+			);
+			panorama.__setter(
+				'lat',
+				(originalEvent.pageY - downState.pageY) * 0.1 + downState.lat
+			);
+			panorama.trackVelocity();
+			panorama.invalidate();
+
+			var tapState = panorama.__getter('tapState');
+			if (tapState && (
+				Math.abs(originalEvent.pageX - tapState.pageX) > 10 ||
+				Math.abs(originalEvent.pageY - tapState.pageY) > 10
+			)) {
+				tapState.moved = true;
+			}
+		} else if (list.length == 2 && panorama.__getter('pinchState')) {
+			panorama.pinchMove(touchesDistance(list));
+		}
 
-		this.__getter('camera').lookAt(this.__getter('target'));
-		this.__getter('renderer').render(this.__getter('scene'), this.__getter('camera'));
+		return false;
 	};
-	// Panorama.prototype.draw }}}1
 
-	// Panorama.prototype.destroy {{{1
 	/**
-	 * Destroy the constructor instance
+	 * Also handles "pointercancel"
 	 *
-	 * @memberOf Panorama
-	 * @public
-	 * @static
+	 * @typedef {function} Panorama~pointerUpHandler
+	 * @this {DOM} $container
 	 */
-	Panorama.prototype.destroy = function () {
-		this.$container.unbind('.' + this.panoramaId);
-		$(window).unbind('.' + this.panoramaId);
-		this.$panoramaWrapper.remove();
-		this.$container.removeData('panorama');
+	Panorama.handlers.pointerUpHandler = function (event) {
+		var panorama = getPanorama.call(this);
+		var originalEvent = event.originalEvent || event;
+		var pointers = panorama.__getter('pointers');
+		var now = (new Date()).getTime();
 
-		// cleanup protected instance variables
-		this.$container = undefined;
-		this.$panoramaWrapper = undefined;
-		this.params = undefined;
-		this.panoramaId = undefined;
-		this.resizeHandlerWrapper = undefined;
-		this.lastAnimationUpdate = undefined;
+		if (!(originalEvent.pointerId in pointers)) return true;
 
-		// cleanup private variables
-		this.__destroy();
+		delete pointers[originalEvent.pointerId];
+		var list = pointersList(pointers);
 
-		this.__destroy = undefined;
-		this.__getter = undefined;
-		this.__setter = undefined;
+		// continue dragging by remaining pointer from current view (without jump)
+		if (list.length == 1) {
+			panorama.__setter('pinchState', null);
+			panorama.__setter('pointerDownState', {
+				pageX: list[0].pageX,
+				pageY: list[0].pageY,
+				lon: panorama.__getter('lon'),
+				lat: panorama.__getter('lat')
+			});
+			panorama.startVelocityTracking();
+			return false;
+		}
+
+		// continue pinch by remaining pointers
+		if (list.length == 2) {
+			panorama.pinchStart(touchesDistance(list));
+			return false;
+		}
+
+		if (list.length > 2) return false;
+
+		panorama.__setter('pointerDownState', undefined);
+		panorama.__setter('pinchState', null);
+		panorama.__setter('holdByUser', false);
+		panorama.__setter('interactionEndTime', now);
+		if (event.type === 'pointercancel') {
+			panorama.__setter('velocity', null);
+		} else {
+			panorama.releaseVelocity();
+		}
+		panorama.emit('interactionend', { type: originalEvent.pointerType });
+
+		if (event.type === 'pointercancel') {
+			panorama.__setter('tapState', null);
+		} else {
+			panorama.detectDoubleTap(now);
+		}
+
+		return false;
 	};
-	// Panorama.prototype.destroy }}}1
 
-	// Panorama.prototype.makeError {{{1
 	/**
-	 * Throw error or delegate to callback
-	 *
-	 * @memberOf Panorama
-	 * @protected
-	 * @static
-	 * @param {Error} exception
-	 * @exception {Error} Any exception that in "exception" argument
-	 * @returns {boolean} Returns true or throws exception
+	 * @typedef {function} Panorama~keyDownHandler
+	 * @this {DOM} $container
 	 */
-	Panorama.prototype.makeError = function (exception) {
-		var self = this;
-		if (this.__getter('callback')) {
-			setTimeout(function () {
-				self.__getter('callback').call(self, exception);
-				self.destroy();
-			}, 1);
-			return true;
+	Panorama.handlers.keyDownHandler = function (event) {
+		var panorama = getPanorama.call(this);
+		var step = panorama.params.keyboard.panStep;
+		var view = panorama.getView();
+
+		// keep browser shortcuts
+		if (event.ctrlKey || event.altKey || event.metaKey) return true;
+
+		switch (event.which) {
+			case 37: // left
+				panorama.setView({ lon: view.lon - step });
+				break;
+			case 39: // right
+				panorama.setView({ lon: view.lon + step });
+				break;
+			case 38: // up
+				panorama.setView({ lat: view.lat + step });
+				break;
+			case 40: // down
+				panorama.setView({ lat: view.lat - step });
+				break;
+			case 107: // numpad +
+			case 187: // =/+ (webkit, ie)
+			case 61: // =/+ (gecko)
+			case 171: // + (gecko)
+				panorama.setView({ zoom: view.zoom + panorama.params.keyboard.zoomStep });
+				break;
+			case 109: // numpad -
+			case 189: // - (webkit, ie)
+			case 173: // - (gecko)
+				panorama.setView({ zoom: view.zoom - panorama.params.keyboard.zoomStep });
+				break;
+			case 36: // home
+				panorama.resetView();
+				break;
+			default:
+				return true;
 		}
-		throw exception;
+
+		panorama.__setter('interactionEndTime', (new Date()).getTime());
+		panorama.announceView();
+
+		return false;
 	};
-	// Panorama.prototype.makeError }}}1
 
-	// exceptions {{{1
+	// Provide handlers to instance of constructor too
+	Panorama.prototype.handlers = Panorama.handlers;
+
+	// handlers }}}1
+
+	// Panorama.Tour {{{1
 
 	/**
-	 * Panorama exceptions
-	 *
-	 * @memberOf Panorama
+	 * @description Virtual tour: multiple panoramas (scenes) in one container
+	 * with transitions between them.
+	 * Container must have own size (scenes is stretched to it).
+	 * @name Panorama.Tour
+	 * @constructor
 	 * @public
-	 * @type {Object.<Error>}
-	 * @prop {Panorama~IncorrectArgument} IncorrectArgument Incorrect argument of constructor
-	 * @prop {Panorama~RequiredParameter} RequiredParameter Required parameters: "panoramaCode" and "imgPathMask" both or "sideTextures"
-	 * @prop {Panorama~RequiredSideTexture} RequiredSideTexture No side texture
-	 * @prop {Panorama~NoContainer} NoContainer Attempt to create instance of Panorama without container
-	 * @prop {Panorama~ContainerZeroSize} ContainerZeroSize jQuery object of container has no DOM-elements
-	 * @prop {Panorama~SinglePanoramaPerContainer} SinglePanoramaPerContainer Attempt to create more than one panoramas in same container
-	 * @prop {Panorama~UnknownPrivateVariableName} UnknownPrivateVariableName Unknown name of private variable
-	 * @prop {Panorama~HandlerCannotFoundThePanorama} HandlerCannotFoundThePanorama Panorama removed but handler still triggers
-	 * @static
-	 * @readOnly
+	 *
+	 * @param {jQuery|string|DOM} $selector jQuery object of container or string of selector or DOM-element
+	 * @param {Panorama~tourParamsType} params Parameters
+	 * @param {Panorama~createTourCallback} [callback] Callback after first scene is created (asynchronus)
+	 *
+	 * @exception {Panorama~IncorrectArgument}
+	 * @exception {Panorama~RequiredParameter}
+	 * @exception {Panorama~UnknownScene}
+	 * @exception {Panorama~NoContainer}
+	 * @exception {Panorama~SinglePanoramaPerContainer}
 	 */
-	Panorama.exceptions = {};
+	Panorama.Tour = function ($selector, params, callback) {
+		var self = this;
 
-	/** @typedef {Error} Panorama~IncorrectArgument */
-	Panorama.exceptions.IncorrectArgument = function (message) {
-		Error.call(this);
-		this.name = 'IncorrectArgument';
-		this.message = message || 'Incorrect argument of constructor';
-	};
+		/**
+		 * @callback Panorama~createTourCallback
+		 * @param {Error|Null} err Exception instance or null if no errors
+		 * @this {Panorama.Tour} Instance of Panorama.Tour
+		 */
+		/**
+		 * @protected
+		 * @instance
+		 * @type {Panorama~createTourCallback}
+		 */
+		this.callback = null;
 
-	/** @typedef {Error} Panorama~RequiredParameter */
-	Panorama.exceptions.RequiredParameter = function (message) {
-		Error.call(this);
-		this.name = 'RequiredParameter';
-		this.message = message || 'Required parameters: "panoramaCode" and "imgPathMask" both or "sideTextures"';
-	};
+		if (callback !== undefined) {
+			if ($.type(callback) !== 'function') {
+				this.makeError(new Panorama.exceptions.IncorrectArgument());
+				return;
+			}
+			this.callback = callback;
+		}
 
-	/** @typedef {Error} Panorama~RequiredSideTexture */
-	Panorama.exceptions.RequiredSideTexture = function (message) {
-		Error.call(this);
-		this.name = 'RequiredSideTexture';
-		this.message = message || 'No side texture';
-	};
+		if (!$.isPlainObject(params)) {
+			this.makeError(new Panorama.exceptions.IncorrectArgument());
+			return;
+		}
 
-	/** @typedef {Error} Panorama~NoContainer */
-	Panorama.exceptions.NoContainer = function (message) {
-		Error.call(this);
-		this.name = 'NoContainer';
-		this.message = message || 'Attempt to create instance of Panorama without container';
-	};
+		/**
+		 * @typedef Panorama~tourScene
+		 * @type {Object.<*>}
+		 * @description Parameters of Panorama (see {@link Panorama~paramsType})
+		 * with additional optional keys of start view of the scene
+		 * @prop {float} [lon] Longitude of camera when scene is opened
+		 * @prop {float} [lat] Latitude of camera when scene is opened
+		 */
+		/**
+		 * @typedef Panorama~tourParamsType
+		 * @type {Object.<*>}
+		 * @prop {Object.<Panorama~tourScene>} scenes Key-value object of scenes by scene codes
+		 * @prop {string} [startScene=null] Code of first scene (first key of "scenes" by default)
+		 * @prop {Panorama~paramsType} [panoramaParams={}] Common parameters of all scenes
+		 * (with "syncUrl" scene is also restored from location hash,
+		 * see {@link Panorama.Tour#goTo} about errors)
+		 * @prop {string} [transition='crossfade'] Transition between scenes ('none', 'crossfade' or 'zoom')
+		 * @prop {number} [transitionDuration=1000] Duration of transition in milliseconds
+		 * @prop {boolean} [preserveView=true] Keep longitude and latitude of previous scene if next scene has no own
+		 */
+		/**
+		 * @public
+		 * @instance
+		 * @type {Panorama~tourParamsType}
+		 * @readOnly
+		 */
+		this.params = $.extend({
+
+			// default values
+
+			scenes: null,
+			startScene: null,
+			panoramaParams: {},
+			transition: 'crossfade',
+			transitionDuration: 1000,
+			preserveView: true
+
+		}, params);
+
+		if (
+			!$.isPlainObject(this.params.scenes) ||
+			$.isEmptyObject(this.params.scenes)
+		) {
+			this.makeError(new Panorama.exceptions.RequiredParameter(
+				'Required parameter: "scenes"'
+			));
+			return;
+		}
+
+		if (this.params.startScene === null) {
+			for (var code in this.params.scenes) {
+				this.params.startScene = code;
+				break;
+			}
+		}
+
+		if (!(this.params.startScene in this.params.scenes)) {
+			this.makeError(new Panorama.exceptions.UnknownScene(
+				null, this.params.startScene
+			));
+			return;
+		}
+
+		if ($.inArray(this.params.transition, Panorama.Tour.transitions) === -1) {
+			this.makeError(new Panorama.exceptions.IncorrectArgument(
+				'Unknown transition: "' + this.params.transition + '"'
+			));
+			return;
+		}
+
+		/**
+		 * Container of the tour
+		 *
+		 * @type jQuery
+		 * @public
+		 * @instance
+		 * @readOnly
+		 */
+		this.$container = $($selector);
+
+		if (this.$container.size() < 1) {
+			this.makeError(new Panorama.exceptions.NoContainer());
+			return;
+		}
+
+		if (this.$container.data('panoramaTour') || this.$container.data('panorama')) {
+			this.makeError(new Panorama.exceptions.SinglePanoramaPerContainer());
+			return;
+		}
+
+		/**
+		 * Wrapper of scenes that putted to container of the tour
+		 *
+		 * @type jQuery
+		 * @public
+		 * @instance
+		 * @readOnly
+		 */
+		this.$tourWrapper = $('<div/>').addClass('panorama_tour_wrapper').css({
+			position: 'relative',
+			width: '100%',
+			height: '100%'
+		});
+
+		this.$container.append(this.$tourWrapper);
+		this.$container.data('panoramaTour', this);
+
+		/**
+		 * Panorama of current scene
+		 *
+		 * @type Panorama
+		 * @public
+		 * @instance
+		 * @readOnly
+		 */
+		this.panorama = null;
+
+		/**
+		 * Code of current scene
+		 *
+		 * @type string
+		 * @public
+		 * @instance
+		 * @readOnly
+		 */
+		this.sceneCode = null;
+
+		/**
+		 * Container of current scene
+		 *
+		 * @type jQuery
+		 * @protected
+		 * @instance
+		 */
+		this.$scene = null;
 
-	/** @typedef {Error} Panorama~ContainerZeroSize */
-	Panorama.exceptions.ContainerZeroSize = function (message) {
-		Error.call(this);
-		this.name = 'ContainerZeroSize';
-		this.message = message || 'jQuery object of container has no DOM-elements';
-	};
+		/**
+		 * Scene that is loading now (to drop stale loads)
+		 *
+		 * @type Object
+		 * @protected
+		 * @instance
+		 */
+		this.pendingScene = null;
 
-	/** @typedef {Error} Panorama~SinglePanoramaPerContainer */
-	Panorama.exceptions.SinglePanoramaPerContainer = function (message) {
-		Error.call(this);
-		this.name = 'SinglePanoramaPerContainer';
-		this.message = message || 'Attempt to create more than one panoramas in same container';
-	};
+		/**
+		 * Animation of current transition
+		 *
+		 * @type jQuery
+		 * @protected
+		 * @instance
+		 */
+		this.$transition = null;
 
-	/** @typedef {Error} Panorama~UnknownPrivateVariableName */
-	Panorama.exceptions.UnknownPrivateVariableName = function (message, varName) {
-		Error.call(this);
-		this.name = 'UnknownPrivateVariableName';
-		this.message = message || 'Unknown name of private variable'+
-			((varName) ? ' ("'+varName+'")' : '');
-	};
+		/**
+		 * Unique identificator of the tour (namespace of window events)
+		 *
+		 * @type string
+		 * @protected
+		 * @instance
+		 */
+		this.tourId = 'panorama_tour_id_' + (new Date()).getTime() +
+			Math.round(Math.random() * 1000000000);
 
-	/** @typedef {Error} Panorama~HandlerCannotFoundThePanorama */
-	Panorama.exceptions.HandlerCannotFoundThePanorama = function (message) {
-		Error.call(this);
-		this.name = 'HandlerCannotFoundThePanorama';
-		this.message = message || 'Panorama removed but handler still triggers';
-	};
+		var startOptions = { transition: 'none' };
 
-	/** @typedef {Error} Panorama~NoSupportedRenderer */
-	Panorama.exceptions.NoSupportedRenderer = function (message) {
-		Error.call(this);
-		this.name = 'NoSupportedRenderer';
-		this.message = message || 'Your browser must support WebGL or Canvas';
-	};
+		if (this.params.panoramaParams.syncUrl) {
+			var syncUrlKey = this.params.panoramaParams.syncUrlKey || 'view';
+			var urlView = Panorama.parseView(getHashParam(syncUrlKey));
 
-	/** @typedef {Error} Panorama~RendererInitError */
-	Panorama.exceptions.RendererInitError = function (message) {
-		Error.call(this);
-		this.name = 'RendererInitError';
-		this.message = message || 'Cannot initialize THREE-renderer';
-	};
+			if (urlView && urlView.scene in this.params.scenes) {
+				this.params.startScene = urlView.scene;
+				startOptions.lon = urlView.lon;
+				startOptions.lat = urlView.lat;
+			}
 
-	for (var key in Panorama.exceptions) {
-		Panorama.exceptions[key].prototype = inherit(Error.prototype);
-	}
+			$(window).bind('hashchange.' + this.tourId, function () {
+				var view = Panorama.parseView(getHashParam(syncUrlKey));
 
-	// Provide exceptions to instance of constructor too
-	Panorama.prototype.exceptions = Panorama.exceptions;
+				if (
+					view && view.scene !== self.sceneCode &&
+					view.scene in self.params.scenes
+				) {
+					self.goTo(view.scene, { lon: view.lon, lat: view.lat });
+				}
+			});
+		}
 
-	// exceptions }}}1
+		this.goTo(this.params.startScene, startOptions, function (err) {
+			if (err) {
+				self.makeError(err);
+				return;
+			}
 
-	// handlers {{{1
+			if (self.callback) self.callback.call(self, null);
+		});
+	};
 
 	/**
-	 * Panorama handlers
+	 * Available transitions between scenes
 	 *
-	 * @memberOf Panorama
+	 * @memberOf Panorama.Tour
 	 * @public
-	 * @type {Object.<function>}
-	 * @prop {Panorama~resizeHandler} resizeHandler
-	 * @prop {Panorama~mouseDownHandler} mouseDownHandler
-	 * @prop {Panorama~mouseMoveHandler} mouseMoveHandler
-	 * @prop {Panorama~mouseUpHandler} mouseUpHandler
-	 * @prop {Panorama~mouseWheelHandler} mouseWheelHandler
-	 * @prop {Panorama~touchStartHandler} touchStartHandler
-	 * @prop {Panorama~touchMoveHandler} touchMoveHandler
-	 * @prop {Panorama~touchEndHandler} touchEndHandler
+	 * @type {Array.<string>}
 	 * @static
 	 * @readOnly
 	 */
-	Panorama.handlers = {};
+	Panorama.Tour.transitions = ['none', 'crossfade', 'zoom'];
 
+	// Panorama.Tour.prototype.goTo {{{2
 	/**
-	 * @callback Panorama~resizeHandler
-	 * @param {Panorama} panorama Instance of Panorama
-	 * @this {window}
+	 * @typedef Panorama~tourGoToOptions
+	 * @type {Object.<*>}
+	 * @prop {float} [lon] Longitude of camera in next scene
+	 * @prop {float} [lat] Latitude of camera in next scene
+	 * @prop {string} [transition] Transition (from tour parameters by default)
+	 * @prop {number} [duration] Duration of transition (from tour parameters by default)
 	 */
-	Panorama.handlers.resizeHandler = function (panorama) {
-		panorama.__getter('camera').aspect =
-			panorama.$container.width() / panorama.$container.height();
-		panorama.__getter('camera').updateProjectionMatrix();
+	/**
+	 * @callback Panorama~tourGoToCallback
+	 * @param {Error|Null} err Exception instance or null if no errors
+	 * @this {Panorama.Tour} Instance of Panorama.Tour
+	 */
+	/**
+	 * Switch to another scene
+	 *
+	 * @memberOf Panorama.Tour
+	 * @param {string} code Code of scene
+	 * @param {Panorama~tourGoToOptions} [options]
+	 * @param {Panorama~tourGoToCallback} [callback] Callback after transition is finished
+	 * (without callback error of loading is triggered as "error" jQuery event on container of the tour,
+	 * current scene is kept)
+	 * @public
+	 * @static
+	 * @exception {Panorama~UnknownScene}
+	 * @exception {Panorama~IncorrectArgument}
+	 */
+	Panorama.Tour.prototype.goTo = function (code/*[, options][, callback]*/) {
+		var self = this;
+		var options = {};
+		var callback = null;
+
+		Array.prototype.slice.call(arguments, 1).forEach(function (arg) {
+			if ($.isPlainObject(arg)) {
+				options = arg;
+			} else if ($.type(arg) === 'function') {
+				callback = arg;
+			} else if (arg !== undefined) {
+				throw new Panorama.exceptions.IncorrectArgument(
+					'Incorrect argument of Panorama.Tour.goTo'
+				);
+			}
+		});
 
-		panorama.__getter('renderer').setSize(
-			panorama.$container.width(), panorama.$container.height()
-		);
-	};
+		if (!(code in this.params.scenes))
+			throw new Panorama.exceptions.UnknownScene(null, code);
 
-	// Handler helper to get panorama by container (this)
-	function getPanorama() {
-		var panorama = $(this).data('panorama');
-		if (!panorama)
-			throw new Panorama.exceptions.HandlerCannotFoundThePanorama();
+		options = $.extend({
+			transition: this.params.transition,
+			duration: this.params.transitionDuration
+		}, options);
 
-		return panorama;
-	}
+		if ($.inArray(options.transition, Panorama.Tour.transitions) === -1) {
+			throw new Panorama.exceptions.IncorrectArgument(
+				'Unknown transition: "' + options.transition + '"'
+			);
+		}
 
-	/**
-	 * @typedef {function} Panorama~mouseDownHandler
-	 * @this {DOM} $container
-	 */
-	Panorama.handlers.mouseDownHandler = function (event) {
-		var panorama = getPanorama.call(this);
+		// finish previous transition immediately
+		if (this.$transition) this.$transition.stop(true, true);
 
-		panorama.__setter('holdByUser', true);
-		panorama.__setter('mouseDownState', {
-			clientX: event.clientX,
-			clientY: event.clientY,
-			lon: panorama.__getter('lon'),
-			lat: panorama.__getter('lat')
+		var scene = this.params.scenes[code];
+		var view = {};
+
+		$.each(['lon', 'lat'], function (i, key) {
+			if (key in options) {
+				view[key] = options[key];
+			} else if (key in scene) {
+				view[key] = scene[key];
+			} else if (self.params.preserveView && self.panorama) {
+				view[key] = self.panorama.getView()[key];
+			}
 		});
 
-		return false;
-	};
+		var sceneParams = $.extend({ sceneCode: code }, this.params.panoramaParams, scene);
+		delete sceneParams.lon;
+		delete sceneParams.lat;
+
+		var $scene = $('<div/>').addClass('panorama_tour_scene').css({
+			position: 'absolute',
+			left: 0,
+			top: 0,
+			width: '100%',
+			height: '100%',
+			opacity: 0
+		});
+		this.$tourWrapper.append($scene);
 
-	/**
-	 * @typedef {function} Panorama~mouseMoveHandler
-	 * @this {DOM} $container
-	 */
-	Panorama.handlers.mouseMoveHandler = function (event) {
-		var panorama = getPanorama.call(this);
+		var token = {};
+		this.pendingScene = token;
 
-		if (panorama.__getter('holdByUser') === true && panorama.__getter('mouseDownState')) {
-			panorama.__setter(
-				'lon',
-				(panorama.__getter('mouseDownState').clientX - event.clientX) *
-					0.1 + panorama.__getter('mouseDownState').lon
-			);
-			panorama.__setter(
-				'lat',
-				(event.clientY - panorama.__getter('mouseDownState').clientY) *
-					0.1 + panorama.__getter('mouseDownState').lat
-			);
-		}
+		new Panorama($scene, sceneParams, function (err) {
+			// tour is destroyed or another scene is requested while loading
+			if (!self.$container || self.pendingScene !== token) {
+				if (!err) this.destroy();
+				$scene.remove();
+				return;
+			}
 
-		return false;
-	};
+			self.pendingScene = null;
 
-	/**
-	 * @typedef {function} Panorama~mouseUpHandler
-	 * @this {DOM} $container
-	 */
-	Panorama.handlers.mouseUpHandler = function (event) {
-		var panorama = getPanorama.call(this);
+			if (err) {
+				$scene.remove();
+				if (callback) {
+					callback.call(self, err);
+				} else {
+					// for example by "hashchange"
+					self.$container.triggerHandler('error', [err]);
+				}
+				return;
+			}
 
-		panorama.__setter('mouseDownState', undefined);
-		panorama.__setter('holdByUser', false);
+			this.setView(view);
+			this.draw();
+			this.animationLoop();
 
-		return false;
+			self.runTransition(this, $scene, code, options, callback);
+		});
 	};
+	// Panorama.Tour.prototype.goTo }}}2
 
+	// Panorama.Tour.prototype.runTransition {{{2
 	/**
-	 * @typedef {function} Panorama~mouseWheelHandler
-	 * @this {DOM} $container
+	 * Transition from current scene to loaded next scene
+	 *
+	 * @memberOf Panorama.Tour
+	 * @param {Panorama} panorama Panorama of next scene
+	 * @param {jQuery} $scene Container of next scene
+	 * @param {string} code Code of next scene
+	 * @param {Panorama~tourGoToOptions} options
+	 * @param {Panorama~tourGoToCallback|Null} callback
+	 * @protected
+	 * @static
 	 */
-	Panorama.handlers.mouseWheelHandler = function (event) {
-		var panorama = getPanorama.call(this);
+	Panorama.Tour.prototype.runTransition = function (panorama, $scene, code, options, callback) {
+		var self = this;
+		var previous = this.panorama;
+		var $previousScene = this.$scene;
 
-		if (event.deltaY == 1) {
-			if (
-				panorama.__getter('camera').fov - panorama.params.fovMouseStep <
-				panorama.params.minFov
-			) return false;
+		this.panorama = panorama;
+		this.$scene = $scene;
+		this.sceneCode = code;
 
-			panorama.__getter('camera').fov -= panorama.params.fovMouseStep;
-			panorama.__getter('camera').updateProjectionMatrix();
-		} else if (event.deltaY == -1) {
-			if (
-				panorama.__getter('camera').fov + panorama.params.fovMouseStep >
-				panorama.params.maxFov
-			) return false;
+		function complete() {
+			self.$transition = null;
+			$scene.css('opacity', '');
 
-			panorama.__getter('camera').fov += panorama.params.fovMouseStep;
-			panorama.__getter('camera').updateProjectionMatrix();
+			if (previous) {
+				previous.destroy();
+				$previousScene.remove();
+			}
+
+			if (callback) callback.call(self, null);
 		}
 
-		return false;
-	};
+		if (!previous || options.transition === 'none' || options.duration <= 0) {
+			complete();
+			return;
+		}
 
-	/**
-	 * @typedef {function} Panorama~touchStartHandler
-	 * @this {DOM} $container
-	 */
-	Panorama.handlers.touchStartHandler = function (event) {
-		var panorama = getPanorama.call(this);
+		var startFov = previous.getView().fov;
+		var endFov = previous.getFovLimits().minFov;
 
-		panorama.__setter('holdByUser', true);
-		if (event.touches.length == 1) {
-			panorama.__setter('touchStartState', {
-				pageX: event.touches[0].pageX,
-				pageY: event.touches[0].pageY,
-				lon: panorama.__getter('lon'),
-				lat: panorama.__getter('lat')
-			});
-		}
+		this.$transition = $({ progress: 0 });
+		this.$transition.animate({ progress: 1 }, {
+			duration: options.duration,
+			easing: 'swing',
+			step: function (now) {
+				if (options.transition === 'zoom') {
+					previous.setView({ fov: startFov + (endFov - startFov) * now });
 
-		return false;
+					// next scene appears when zoom of previous is almost done
+					$scene.css('opacity', now * now);
+				} else {
+					$scene.css('opacity', now);
+				}
+			},
+			complete: complete
+		});
 	};
+	// Panorama.Tour.prototype.runTransition }}}2
 
+	// Panorama.Tour.prototype.destroy {{{2
 	/**
-	 * @typedef {function} Panorama~touchMoveHandler
-	 * @this {DOM} $container
+	 * Destroy the tour instance with all scenes
+	 *
+	 * @memberOf Panorama.Tour
+	 * @public
+	 * @static
 	 */
-	Panorama.handlers.touchMoveHandler = function (event) {
-		var panorama = getPanorama.call(this);
+	Panorama.Tour.prototype.destroy = function () {
+		this.pendingScene = null;
 
-		if (
-			panorama.__getter('holdByUser') &&
-			event.touches.length == 1 &&
-			panorama.__getter('touchStartState')
-		) {
-			panorama.__setter(
-				'lon',
-				(panorama.__getter('touchStartState').pageX - event.touches[0].pageX) *
-					0.1 + panorama.__getter('touchStartState').lon
-			);
-			panorama.__setter(
-				'lat',
-				(event.touches[0].pageY - panorama.__getter('touchStartState').pageY) *
-					0.1 + panorama.__getter('touchStartState').lat
-			);
+		$(window).unbind('.' + this.tourId);
+
+		if (this.$transition) {
+			this.$transition.stop(true, false);
+			this.$transition = null;
 		}
 
-		return false;
+		if (this.$tourWrapper) {
+			this.$tourWrapper.children('.panorama_tour_scene').each(function () {
+				var panorama = $(this).data('panorama');
+				if (panorama) panorama.destroy();
+			});
+			this.$tourWrapper.remove();
+		}
+
+		if (this.$container) this.$container.removeData('panoramaTour');
+
+		this.$container = undefined;
+		this.$tourWrapper = undefined;
+		this.$scene = undefined;
+		this.panorama = undefined;
+		this.sceneCode = undefined;
+		this.params = undefined;
+		this.callback = undefined;
+		this.tourId = undefined;
 	};
+	// Panorama.Tour.prototype.destroy }}}2
 
+	// Panorama.Tour.prototype.makeError {{{2
 	/**
-	 * @typedef {function} Panorama~touchEndHandler
-	 * @this {DOM} $container
+	 * Throw error or delegate to callback
+	 *
+	 * @memberOf Panorama.Tour
+	 * @protected
+	 * @static
+	 * @param {Error} exception
+	 * @exception {Error} Any exception that in "exception" argument
+	 * @returns {boolean} Returns true or throws exception
 	 */
-	Panorama.handlers.touchEndHandler = function (event) {
-		var panorama = getPanorama.call(this);
-
-		panorama.__setter('touchStartState', undefined);
-		panorama.__setter('holdByUser', false);
-
-		return false;
+	Panorama.Tour.prototype.makeError = function (exception) {
+		var self = this;
+		if (this.callback) {
+			var callback = this.callback;
+			setTimeout(function () {
+				callback.call(self, exception);
+				self.destroy();
+			}, 1);
+			return true;
+		}
+		throw exception;
 	};
+	// Panorama.Tour.prototype.makeError }}}2
 
-	// Provide handlers to instance of constructor too
-	Panorama.prototype.handlers = Panorama.handlers;
-
-	// handlers }}}1
+	// Panorama.Tour }}}1
 
 	return Panorama;
 